@@ -8,6 +8,11 @@ import ora from 'ora';
 import { GitHubIntegration } from '../src/github-integration.js';
 import { AgentState } from '../src/agent-state.js';
 import { runAgentUpdate } from '../src/agent-update-workflow.js';
+import { createCharacterSystem } from '../src/character-system.js';
+import { loadConfig } from '../src/config.js';
+import { RepoContextProvider } from '../src/repo-context.js';
+import { planWorkflow } from '../src/workflow.js';
+import { SnapshotStore, diffSnapshots, formatDiffMarkdown } from '../src/agent-snapshots.js';
 import { readFile } from 'fs/promises';
 import { join } from 'path';
 
@@ -35,14 +40,16 @@ program
       // GitHubIntegration should work in the user's repo, not the action directory
       const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
       const github = new GitHubIntegration(userRepoPath);
-      await github.initializeAgentBranches();
+      const characterSystem = await createCharacterSystem(await loadConfig(userRepoPath), userRepoPath);
+      const characters = characterSystem.getAllCharacters();
+      await github.initializeAgentBranches(characters.map(c => c.id));
       spinner.succeed('Agent branches initialized');
       console.log(chalk.green('\n✅ Agent system ready!'));
       console.log(chalk.gray('\nAgent branches created:'));
-      console.log(chalk.gray('  - agent/architect (Structure & Architecture)'));
-      console.log(chalk.gray('  - agent/educator (Learning & Tutorials)'));
-      console.log(chalk.gray('  - agent/visionary (Vision & Possibilities)'));
-      console.log(chalk.gray('  - agent/philosopher (Philosophy & Principles)\n'));
+      for (const character of characters) {
+        console.log(chalk.gray(`  - agent/${character.id} (${character.level_name})`));
+      }
+      console.log();
     } catch (error) {
       spinner.fail('Failed');
       console.error(chalk.red('\n❌ Error:'), error.message);
@@ -59,10 +66,10 @@ program
     try {
       // GitHubIntegration should work in the user's repo, not the action directory
       const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
-      const github = new GitHubIntegration(userRepoPath);
-      const repoContext = await github.getRepoContext();
+      const config = await loadConfig(userRepoPath);
+      const repoContext = await new RepoContextProvider(userRepoPath, { config }).getContext();
       spinner.text = 'Running agent analysis...';
-      await runAgentUpdate(repoContext);
+      await runAgentUpdate(repoContext, { config });
       spinner.succeed('Agents updated');
       console.log(chalk.green('\n✅ All agent branches updated\n'));
     } catch (error) {
@@ -72,13 +79,56 @@ program
     }
   });
 
+program
+  .command('publish')
+  .description("Commit each agent's state, snapshots and notes to its branch and push, without switching branches")
+  .option('--agents <ids>', 'Restrict to these comma-separated agent ids ("all" for every agent)')
+  .option('--remote <name>', 'Remote to push to', 'origin')
+  .option('--no-push', 'Only update the local agent branches')
+  .action(async (options) => {
+    try {
+      const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
+      const github = new GitHubIntegration(userRepoPath);
+      const characterSystem = await createCharacterSystem(await loadConfig(userRepoPath), userRepoPath);
+      const selected = options.agents && options.agents !== 'all'
+        ? options.agents.split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+
+      let failed = false;
+      for (const id of planWorkflow(characterSystem, selected).flat()) {
+        const character = characterSystem.getCharacter(id);
+        // Agents that never ran have nothing to publish
+        if (!(await new AgentState(id).load())) {
+          console.log(chalk.gray(`${id}: no state, skipped`));
+          continue;
+        }
+        try {
+          const result = await github.publishAgentBranch(id, {
+            message: `🤖 ${character.name}: Updated from Consciousness Lab`,
+            remote: options.remote,
+            push: options.push
+          });
+          const status = !result.changed ? 'unchanged' : result.pushed ? 'pushed' : 'committed';
+          console.log(`${chalk.cyan(result.branch)} ${status} (${result.commit.substring(0, 7)})`);
+        } catch (error) {
+          failed = true;
+          console.error(chalk.red(`❌ agent/${id}:`), error.message);
+        }
+      }
+      if (failed) process.exit(1);
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program
   .command('status')
   .description('Show status of all agents')
   .action(async () => {
     console.log(chalk.bold.magenta('\n🤖 Agent Status\n'));
-    const agents = ['architect', 'educator', 'visionary', 'philosopher'];
-    for (const agentId of agents) {
+    const characterSystem = await createCharacterSystem(await loadConfig());
+    for (const agentId of characterSystem.getCharacterIds()) {
       const agentState = new AgentState(agentId);
       const loaded = await agentState.load();
       if (loaded) {
@@ -87,7 +137,12 @@ program
         console.log(`  Level: ${state.agent.level} - ${state.agent.levelName}`);
         console.log(`  Evolved: ${state.agent.evolved ? chalk.green('Yes') : chalk.gray('No')}`);
         console.log(`  Insights: ${state.understanding.insights.length}`);
+        console.log(`  Runs: ${state.evolution.learningHistory.length}`);
         console.log(`  Transformations: ${state.evolution.transformations.length}`);
+        const latest = state.evolution.transformations[state.evolution.transformations.length - 1];
+        if (latest) {
+          console.log(chalk.gray(`    Latest: ${latest.description}`));
+        }
         console.log(`  Last update: ${new Date(state.metadata.lastModified).toLocaleString()}`);
       } else {
         console.log(chalk.gray(`\n${agentId}: Not initialized`));
@@ -96,4 +151,139 @@ program
     console.log();
   });
 
+program
+  .command('graph <agent> [node]')
+  .description('Query an agent\'s knowledge graph, e.g. what depends on a component')
+  .option('-r, --relation <type>', 'Only this relationship type (depends-on, implements, uses, documents, ...)')
+  .option('-d, --direction <direction>', 'in: edges pointing at the node, out: edges from it, both', 'both')
+  .option('-t, --node-type <type>', 'Only neighbours of this type (component, pattern, concept)')
+  .option('--json', 'Print raw JSON')
+  .action(async (agentId, node, options) => {
+    try {
+      const agentState = new AgentState(agentId);
+      if (!(await agentState.load())) {
+        console.error(chalk.red(`\n❌ No state for ${agentId}; run an analysis first`));
+        process.exit(1);
+      }
+      const graph = agentState.getGraph();
+
+      if (!node) {
+        const stats = graph.getStats();
+        if (options.json) {
+          console.log(JSON.stringify(stats, null, 2));
+          return;
+        }
+        console.log(chalk.bold.magenta(`\n🕸️  ${agentState.state.agent.name} knowledge graph\n`));
+        console.log(`  Nodes: ${stats.nodes} (${Object.entries(stats.nodesByType).map(([t, n]) => `${n} ${t}`).join(', ') || 'none'})`);
+        console.log(`  Edges: ${stats.edges} (${Object.entries(stats.edgesByType).map(([t, n]) => `${n} ${t}`).join(', ') || 'none'})`);
+        console.log();
+        return;
+      }
+
+      const found = graph.findNode(node);
+      if (!found) {
+        console.error(chalk.red(`\n❌ '${node}' is not in ${agentId}'s knowledge graph`));
+        process.exit(1);
+      }
+
+      const matches = graph.query(node, {
+        relation: options.relation,
+        direction: options.direction,
+        nodeType: options.nodeType
+      });
+
+      if (options.json) {
+        console.log(JSON.stringify(matches, null, 2));
+        return;
+      }
+
+      console.log(chalk.bold.magenta(`\n🕸️  ${found.name} (${found.type})\n`));
+      if (matches.length === 0) {
+        console.log(chalk.gray('  No matching relationships'));
+      }
+      for (const match of matches) {
+        const edge = match.direction === 'out'
+          ? `${found.name} ${chalk.cyan(match.type)} ${match.node.name}`
+          : `${match.node.name} ${chalk.cyan(match.type)} ${found.name}`;
+        const sources = match.sources.map(s => s.path || s.kind).filter(Boolean);
+        console.log(`  ${edge} ${chalk.gray(`[${match.node.type}, seen ${match.count}x${sources.length ? `, from ${[...new Set(sources)].join(', ')}` : ''}]`)}`);
+      }
+      console.log();
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff [agent]')
+  .description('Show how agents\' understanding changed between two analyzed commits')
+  .option('--from <sha>', 'Earlier commit (default: the snapshot before --to)')
+  .option('--to <sha>', 'Later commit (default: the latest snapshot)')
+  .option('--json', 'Print raw JSON')
+  .action(async (agentId, options) => {
+    try {
+      const characterSystem = await createCharacterSystem(await loadConfig());
+      const agentIds = agentId ? [agentId] : characterSystem.getCharacterIds();
+      const diffs = [];
+
+      for (const id of agentIds) {
+        const store = new SnapshotStore(id);
+        const after = options.to ? await store.load(options.to) : await store.latest();
+        const before = options.from ? await store.load(options.from) : after && await store.previous(after.commit);
+        if (!after || !before) {
+          if (agentId) {
+            console.error(chalk.red(`\n❌ ${id} needs two snapshots to compare; run another analysis first`));
+            process.exit(1);
+          }
+          continue;
+        }
+        diffs.push({ name: characterSystem.getCharacter(id)?.name || id, diff: diffSnapshots(before, after) });
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(diffs.map(d => d.diff), null, 2));
+        return;
+      }
+
+      console.log(chalk.bold.magenta('\n🔄 Understanding Changes\n'));
+      if (diffs.length === 0) {
+        console.log(chalk.gray('  No agent has two snapshots to compare yet'));
+      }
+      for (const { name, diff } of diffs) {
+        console.log(formatDiffMarkdown(diff, name));
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('list')
+  .description('List configured agents in workflow order, including custom ones from the repository')
+  .option('--ids', 'Print only a comma-separated list of agent ids')
+  .option('--agents <ids>', 'Restrict to these comma-separated agent ids ("all" for every agent)')
+  .action(async (options) => {
+    try {
+      const characterSystem = await createCharacterSystem(await loadConfig());
+      const selected = options.agents && options.agents !== 'all'
+        ? options.agents.split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+      const characters = planWorkflow(characterSystem, selected)
+        .flat()
+        .map(id => characterSystem.getCharacter(id));
+      if (options.ids) {
+        console.log(characters.map(c => c.id).join(','));
+        return;
+      }
+      for (const character of characters) {
+        console.log(`${chalk.cyan(character.id)}  ${character.name} (Level ${character.level} - ${character.level_name})`);
+      }
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse();
@@ -7,36 +7,43 @@
 
 import { CoachingSystem } from '../src/coaching-system.js';
 import { ModelAdapter } from '../src/model-adapter.js';
-import { CharacterSystem } from '../src/character-system.js';
-import { readFile, readdir, stat } from 'fs/promises';
+import { createCharacterSystem } from '../src/character-system.js';
+import { loadConfig, getRepoPath } from '../src/config.js';
+import { applyModelOverride } from '../src/model-settings.js';
+import { RepoContextProvider } from '../src/repo-context.js';
+import { planWorkflow } from '../src/workflow.js';
+import { readFile } from 'fs/promises';
 import { join } from 'path';
 import { parseArgs } from 'util';
 
 const { values } = parseArgs({
   options: {
-    output: { type: 'string', default: 'json' }
+    output: { type: 'string', default: 'json' },
+    agents: { type: 'string', default: 'all' }
   }
 });
 
 async function runCoaching() {
+  let modelAdapter = null;
+
   try {
     // Initialize systems
-    const modelAdapter = new ModelAdapter({
-      openrouterKey: process.env.OPENROUTER_API_KEY,
-      defaultModel: process.env.MODEL || 'anthropic/claude-3.5-sonnet'
+    modelAdapter = new ModelAdapter({
+      defaultModel: process.env.MODEL
     });
 
-    const actionPath = process.env.GITHUB_ACTION_PATH || process.cwd();
-    const characterSystem = new CharacterSystem(
-      join(actionPath, 'characters', 'project-analysis.json')
-    );
-    await characterSystem.loadCharacters();
+    const config = applyModelOverride(await loadConfig(), process.env.MODEL);
+    const characterSystem = await createCharacterSystem(config);
 
-    const coachingSystem = new CoachingSystem(modelAdapter, characterSystem, values.output === 'json');
+    const coachingSystem = new CoachingSystem(modelAdapter, characterSystem, values.output === 'json', config);
 
-    // Load agent insights
+    // Load insights for the selected agents; only agents with output take
+    // part in the discussion
     const agentInsights = {};
-    const agents = ['architect', 'educator', 'visionary', 'philosopher'];
+    const selected = values.agents !== 'all'
+      ? values.agents.split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    const agents = planWorkflow(characterSystem, selected).flat();
     
     for (const agent of agents) {
       try {
@@ -46,40 +53,36 @@ async function runCoaching() {
         try {
           data = await readFile(tempPath, 'utf8');
         } catch (tempError) {
-          // Fallback to .agent-states if temp files don't exist
+          // Fallback to the last run output in .agent-states if temp files don't exist
           const workspacePath = process.env.GITHUB_WORKSPACE || process.cwd();
-          const insightPath = join(workspacePath, '.agent-states', `${agent}.json`);
+          const insightPath = join(workspacePath, '.agent-states', `${agent}.output.json`);
           console.warn(`Temp file not found for ${agent}, trying: ${insightPath}`);
-          try {
-            data = await readFile(insightPath, 'utf8');
-          } catch (stateError) {
-            console.warn(`Agent state file not found for ${agent}: ${stateError.message}`);
-            throw new Error(`No agent state file found for ${agent}`);
-          }
+          data = await readFile(insightPath, 'utf8');
         }
         agentInsights[agent] = JSON.parse(data);
       } catch (e) {
-        console.warn(`Could not load insights for ${agent}:`, e.message);
-        // Create a minimal insight structure to prevent crashes
-        agentInsights[agent] = {
-          summary: `Analysis for ${agent} not available`,
-          insights: [`No insights available for ${agent}`],
-          entities: {}
-        };
+        console.warn(`No output for ${agent}, leaving it out of the coaching session:`, e.message);
       }
     }
 
+    if (Object.keys(agentInsights).length === 0) {
+      throw new Error('No agent output to coach');
+    }
+
     // Get repository context
-    const repoContext = await getRepositoryContext();
+    const repoContext = await new RepoContextProvider(getRepoPath(), { config }).getContext();
 
     // Run coaching session
     const coachingResult = await coachingSystem.runCoachingSession(repoContext, agentInsights);
 
     if (!coachingResult) {
       console.log('No coaching insights generated');
+      await modelAdapter.usage.flush();
       process.exit(0);
     }
 
+    coachingResult.usage = modelAdapter.usage.getReport();
+
     // Output result
     if (values.output === 'json') {
       console.log(JSON.stringify(coachingResult, null, 2));
@@ -90,100 +93,13 @@ async function runCoaching() {
       console.log(`  Quick wins: ${coachingResult.coachingReport.quick_wins.length}`);
     }
 
+    await modelAdapter.usage.flush();
     process.exit(0);
   } catch (error) {
     console.error('Error running coaching session:', error.message);
+    await modelAdapter?.usage.flush();
     process.exit(1);
   }
 }
 
-async function getRepositoryContext() {
-  const context = {
-    files: [],
-    structure: {},
-    packageInfo: null,
-    languages: new Set(),
-    stats: {
-      totalFiles: 0,
-      totalLines: 0
-    }
-  };
-
-  // Use the user's repo directory
-  const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
-  
-  // Try to read package.json from user's repo
-  try {
-    const packageJson = JSON.parse(await readFile(join(userRepoPath, 'package.json'), 'utf8'));
-    context.packageInfo = {
-      name: packageJson.name,
-      description: packageJson.description,
-      version: packageJson.version,
-      dependencies: packageJson.dependencies || {}
-    };
-  } catch (e) {
-    // No package.json, that's ok
-  }
-
-  // Get file structure (limited)
-  const files = await getFilesRecursively(userRepoPath, [
-    '.git', 
-    'node_modules', 
-    '.agent-states',
-    'dist', 
-    'build',
-    'target',
-    'bin',
-    'obj',
-    '__pycache__',
-    'venv',
-    '.venv'
-  ]);
-
-  context.files = files.slice(0, 100); // Limit to 100 files
-  context.stats.totalFiles = files.length;
-
-  // Detect languages
-  for (const file of files) {
-    const ext = file.split('.').pop();
-    if (ext) {
-      context.languages.add(ext);
-    }
-  }
-
-  context.languages = Array.from(context.languages);
-
-  return context;
-}
-
-async function getFilesRecursively(dir, ignoreDirs = []) {
-  const files = [];
-  
-  try {
-    const entries = await readdir(dir);
-    
-    for (const entry of entries) {
-      if (entry.startsWith('.') && entry !== '.github') continue;
-      
-      const fullPath = join(dir, entry);
-      const stats = await stat(fullPath);
-      
-      if (stats.isDirectory()) {
-        if (!ignoreDirs.some(ignore => fullPath.includes(ignore))) {
-          files.push(...(await getFilesRecursively(fullPath, ignoreDirs)));
-        }
-      } else {
-        // Return relative path from the user's repo root
-        const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
-        const relativePath = fullPath.replace(userRepoPath + '/', '');
-        files.push(relativePath);
-      }
-    }
-  } catch (error) {
-    // Ignore permission errors
-  }
-  
-  return files;
-}
-
 runCoaching();
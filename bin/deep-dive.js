@@ -7,14 +7,16 @@
 
 import { DeepDiveAnalyzer } from '../src/deep-dive-analyzer.js';
 import { ModelAdapter } from '../src/model-adapter.js';
-import { CharacterSystem } from '../src/character-system.js';
-import { join } from 'path';
+import { createCharacterSystem } from '../src/character-system.js';
+import { loadConfig } from '../src/config.js';
+import { applyModelOverride } from '../src/model-settings.js';
 import { parseArgs } from 'util';
 
 const { values } = parseArgs({
   options: {
     agent: { type: 'string', default: 'architect' },
-    model: { type: 'string', default: 'anthropic/claude-3.5-sonnet' },
+    model: { type: 'string' },
+    provider: { type: 'string' },
     output: { type: 'string', default: 'json' },
     maxDepth: { type: 'string', default: '3' },
     includeFiles: { type: 'boolean', default: true },
@@ -24,23 +26,23 @@ const { values } = parseArgs({
 });
 
 async function runDeepDive() {
+  let modelAdapter = null;
+
   try {
     // Initialize systems
-    const modelAdapter = new ModelAdapter({
-      openrouterKey: process.env.OPENROUTER_API_KEY,
-      defaultModel: values.model
+    modelAdapter = new ModelAdapter({
+      provider: values.provider,
+      defaultModel: values.model || process.env.MODEL
     });
 
-    const actionPath = process.env.GITHUB_ACTION_PATH || process.cwd();
-    const characterSystem = new CharacterSystem(
-      join(actionPath, 'characters', 'project-analysis.json')
-    );
-    await characterSystem.loadCharacters();
+    const config = applyModelOverride(await loadConfig(), values.model || process.env.MODEL);
+    const characterSystem = await createCharacterSystem(config);
 
     const deepDiveAnalyzer = new DeepDiveAnalyzer(
       values.agent,
       modelAdapter,
-      characterSystem
+      characterSystem,
+      { config }
     );
 
     // Get repository path
@@ -57,6 +59,7 @@ async function runDeepDive() {
       includeDirectories: values.includeDirectories,
       includeModules: values.includeModules
     });
+    results.usage = modelAdapter.usage.getReport();
 
     // Output results
     if (values.output === 'json') {
@@ -66,12 +69,15 @@ async function runDeepDive() {
       console.log(`  Files analyzed: ${results.files.length}`);
       console.log(`  Directories analyzed: ${results.directories.length}`);
       console.log(`  Modules analyzed: ${results.modules.length}`);
+      console.log(`  Work items: ${results.progress.completed} completed (${results.progress.cached} cached), ${results.progress.failed} failed of ${results.progress.total}`);
       console.log(`  Summary: ${results.summary?.summary || 'No summary available'}`);
     }
 
+    await modelAdapter.usage.flush();
     process.exit(0);
   } catch (error) {
     console.error('Error running deep dive analysis:', error.message);
+    await modelAdapter?.usage.flush();
     process.exit(1);
   }
 }
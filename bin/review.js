@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Pull Request Review CLI
+ * Reviews only the files changed against a base ref and writes findings in
+ * the shape of a GitHub pull request review
+ */
+
+import { DeepDiveAnalyzer } from '../src/deep-dive-analyzer.js';
+import { ModelAdapter } from '../src/model-adapter.js';
+import { createCharacterSystem } from '../src/character-system.js';
+import { loadConfig, getRepoPath } from '../src/config.js';
+import { applyModelOverride } from '../src/model-settings.js';
+import { planWorkflow, runWorkflow } from '../src/workflow.js';
+import { RepoContextProvider } from '../src/repo-context.js';
+import { writeJSONAtomic } from '../src/file-store.js';
+import {
+  getPullRequestChanges,
+  resolveReviewSettings,
+  buildReviewComments,
+  formatReviewMarkdown
+} from '../src/pr-review.js';
+import { parseArgs } from 'util';
+
+const { values } = parseArgs({
+  options: {
+    // Defaults to the pull request's base branch on pull_request events
+    base: { type: 'string' },
+    agents: { type: 'string', default: 'all' },
+    model: { type: 'string' },
+    provider: { type: 'string' },
+    output: { type: 'string', default: 'json' },
+    'output-file': { type: 'string' }
+  }
+});
+
+async function runReview() {
+  let modelAdapter = null;
+
+  try {
+    const base = values.base || (process.env.GITHUB_BASE_REF ? `origin/${process.env.GITHUB_BASE_REF}` : null);
+    if (!base) {
+      throw new Error('No base ref: pass --base or run on a pull_request event');
+    }
+
+    modelAdapter = new ModelAdapter({
+      provider: values.provider,
+      defaultModel: values.model || process.env.MODEL
+    });
+
+    const config = applyModelOverride(await loadConfig(), values.model || process.env.MODEL);
+    const characterSystem = await createCharacterSystem(config);
+    const repoPath = getRepoPath();
+
+    const changes = await getPullRequestChanges(repoPath, base, config);
+    console.warn(`🔎 ${changes.files.length} changed file(s) to review against ${base}, ${changes.skipped.length} skipped`);
+
+    const { contextTokens } = resolveReviewSettings(config);
+    const repoContext = changes.files.length > 0
+      ? await new RepoContextProvider(repoPath, { config }).getContext(contextTokens)
+      : null;
+
+    const selected = values.agents !== 'all'
+      ? values.agents.split(',').map(id => id.trim()).filter(Boolean)
+      : null;
+    const stages = planWorkflow(characterSystem, selected);
+
+    const { results } = await runWorkflow(stages, async (id) => {
+      const analyzer = new DeepDiveAnalyzer(id, modelAdapter, characterSystem, { config });
+      return analyzer.reviewChanges(repoPath, changes.files, repoContext);
+    });
+
+    const reviews = stages.flat().map(id => {
+      const character = characterSystem.getCharacter(id);
+      const result = results[id];
+      return {
+        agent: id,
+        name: character.name,
+        emoji: character.emoji || null,
+        level: character.level,
+        levelName: character.level_name,
+        ...(result?.success
+          ? result.output
+          : { summary: null, files: [], findings: [], error: result ? result.error.message : 'Skipped' })
+      };
+    });
+
+    const review = {
+      base,
+      files: changes.files.map(({ path, status, previousPath, additions, deletions }) => ({ path, status, previousPath, additions, deletions })),
+      skipped: changes.skipped,
+      reviews,
+      usage: modelAdapter.usage.getReport()
+    };
+    review.comments = buildReviewComments(reviews, changes.prefix);
+    review.body = formatReviewMarkdown(review);
+
+    if (values['output-file']) {
+      await writeJSONAtomic(values['output-file'], review);
+    }
+
+    if (values.output === 'json') {
+      console.log(JSON.stringify(review, null, 2));
+    } else {
+      console.log(review.body);
+    }
+
+    await modelAdapter.usage.flush();
+    process.exit(reviews.some(entry => entry.error) ? 1 : 0);
+  } catch (error) {
+    console.error('Error running review:', error.message);
+    await modelAdapter?.usage.flush();
+    process.exit(1);
+  }
+}
+
+runReview();
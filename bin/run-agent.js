@@ -6,164 +6,200 @@
 
 import { AgentState } from '../src/agent-state.js';
 import { ModelAdapter } from '../src/model-adapter.js';
-import { CharacterSystem } from '../src/character-system.js';
+import { createCharacterSystem, buildSystemPrompt } from '../src/character-system.js';
 import { NotesCache } from '../src/notes-cache.js';
-import { readdir, stat, readFile } from 'fs/promises';
+import { StructuredOutputError } from '../src/llm-errors.js';
+import { ANALYSIS_SCHEMA, fallbackAnalysis } from '../src/output-schemas.js';
+import { loadConfig, getRepoPath } from '../src/config.js';
+import { resolveModelSettings, applyModelOverride } from '../src/model-settings.js';
+import { evolveAgent } from '../src/agent-evolution.js';
+import { resolveRetention } from '../src/knowledge-consolidation.js';
+import { RELATIONSHIP_TYPES } from '../src/knowledge-graph.js';
+import { planWorkflow, runWorkflow, formatPriorFindings } from '../src/workflow.js';
+import { writeJSONAtomic } from '../src/file-store.js';
+import { RepoContextProvider } from '../src/repo-context.js';
+import { recordSnapshot, formatDiffMarkdown } from '../src/agent-snapshots.js';
+import { mkdir } from 'fs/promises';
 import { join } from 'path';
 import { parseArgs } from 'util';
 
 const { values } = parseArgs({
   options: {
     agent: { type: 'string', default: 'architect' },
-    model: { type: 'string', default: 'anthropic/claude-3.5-sonnet' },
+    // Workflow mode: run several agents in workflow order, one output file each
+    agents: { type: 'string' },
+    'output-dir': { type: 'string' },
+    model: { type: 'string' },
+    provider: { type: 'string' },
     output: { type: 'string', default: 'json' }
   }
 });
 
-const agentId = values.agent;
-const model = values.model;
+const model = values.model || process.env.MODEL;
 
 async function runAgent() {
+  let modelAdapter = null;
+
   try {
     // Initialize model adapter
-    const modelAdapter = new ModelAdapter({
-      openrouterKey: process.env.OPENROUTER_API_KEY,
+    modelAdapter = new ModelAdapter({
+      provider: values.provider,
       defaultModel: model
     });
 
-    // Load character
-    const actionPath = process.env.GITHUB_ACTION_PATH || process.cwd();
-    
-    const characterSystem = new CharacterSystem(
-      join(actionPath, 'characters', 'project-analysis.json')
-    );
-    await characterSystem.loadCharacters();
-    const character = characterSystem.getCharacter(agentId);
-
-    // Initialize or load agent state
-    const agentState = new AgentState(agentId);
-    let loaded = await agentState.load();
-    
-    if (!loaded) {
-      const repoContext = await getRepositoryContext();
-      await agentState.initialize(character, repoContext);
+    const config = applyModelOverride(await loadConfig(), model);
+    const characterSystem = await createCharacterSystem(config);
+    // Gathered once and shared by every agent in this run
+    const contextProvider = new RepoContextProvider(getRepoPath(), { config });
+
+    if (values['output-dir']) {
+      const failed = await runAgentWorkflow(characterSystem, modelAdapter, config, contextProvider);
+      await modelAdapter.usage.flush();
+      process.exit(failed ? 1 : 0);
     }
 
-    // Analyze repository
-    const analysis = await analyzeRepository(agentState, modelAdapter, character);
-    
-    // Update state
-    await agentState.save();
-
-    // Output result
-    const output = {
-      agent: agentId,
-      level: character.level,
-      timestamp: Date.now(),
-      summary: analysis.summary || 'Analysis complete',
-      insights: analysis.insights || [],
-      entities: agentState.state.knowledge.entities,
-      confidence: agentState.state.knowledge.understanding.confidence_level
-    };
+    const character = characterSystem.getCharacter(values.agent);
+    const output = await runSingleAgent(character, modelAdapter, config, contextProvider);
 
     if (values.output === 'json') {
       console.log(JSON.stringify(output, null, 2));
     } else {
-      console.log(`✓ ${character.name} analysis complete`);
-      console.log(`  Insights: ${analysis.insights?.length || 0}`);
-      console.log(`  Entities: ${Object.values(agentState.state.knowledge.entities).flat().length}`);
+      printSummary(output);
     }
 
+    await modelAdapter.usage.flush();
     process.exit(0);
   } catch (error) {
     console.error('Error running agent:', error.message);
+    await modelAdapter?.usage.flush();
     process.exit(1);
   }
 }
 
-async function getRepositoryContext() {
-  const context = {
-    structure: [],
-    packageInfo: null
-  };
+/**
+ * Run the selected agents in workflow order, writing `<agent>-output.json`
+ * to the output directory as each one finishes.
+ *
+ * @returns {Promise<boolean>} Whether any agent failed
+ */
+async function runAgentWorkflow(characterSystem, modelAdapter, config, contextProvider) {
+  const outputDir = values['output-dir'];
+  await mkdir(outputDir, { recursive: true });
+
+  const selected = values.agents && values.agents !== 'all'
+    ? values.agents.split(',').map(id => id.trim()).filter(Boolean)
+    : null;
+  const stages = planWorkflow(characterSystem, selected);
+
+  const { results } = await runWorkflow(stages, async (id, previous) => {
+    const output = await runSingleAgent(characterSystem.getCharacter(id), modelAdapter, config, contextProvider, previous);
+    await writeJSONAtomic(join(outputDir, `${id}-output.json`), output);
+    if (values.output !== 'json') {
+      printSummary(output);
+    }
+    return output;
+  });
 
-  // Use the user's repo directory, not the action directory
-  const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
-  
-  // Try to read package.json from user's repo
-  try {
-    const packageJson = JSON.parse(await readFile(join(userRepoPath, 'package.json'), 'utf8'));
-    context.packageInfo = {
-      name: packageJson.name,
-      description: packageJson.description,
-      version: packageJson.version
-    };
-  } catch (e) {
-    // No package.json, that's ok
+  return Object.values(results).some(result => !result.success);
+}
+
+async function runSingleAgent(character, modelAdapter, config, contextProvider, previous = []) {
+  // Load agent state, or start one in memory that the update below saves
+  const retention = resolveRetention(config);
+  const agentState = new AgentState(character.id, { retention });
+  const repoContext = await contextProvider.getContext();
+  if (!(await agentState.load())) {
+    agentState.initialize(character, repoContext);
+  }
+
+  // Analyze repository
+  const analysis = await analyzeRepository(agentState, modelAdapter, character, config, contextProvider, previous);
+
+  // Evolve against what the agent knew before this run, then learn from
+  // it, re-reading the saved state under its lock so concurrent runs don't
+  // lose updates; a fallback analysis is reported but never learned from
+  let evolution = { transformations: [], evolvedNow: false };
+  if (analysis.fallback) {
+    console.warn(`⚠️ ${character.name}: no valid analysis, knowledge left unchanged`);
+  } else {
+    evolution = await agentState.update(state => {
+      const evolution = evolveAgent(state, analysis, config);
+      state.recordAnalysis(analysis, { kind: 'analysis', phase: 'analysis' });
+      return evolution;
+    }, { character, repoContext });
+    for (const transformation of evolution.transformations) {
+      console.warn(`🦋 ${character.name}: ${transformation.description}`);
+    }
+    if (evolution.evolvedNow) {
+      console.warn(`🌟 ${character.name} has evolved`);
+    }
   }
 
-  // Get file structure from user's repo (limited)
-  const files = await getFilesRecursively(userRepoPath, [
-    '.git', 'node_modules', '.consciousness-lab', 'dist', 'build'
-  ]);
-  context.structure = files.slice(0, 100);
+  const output = {
+    agent: character.id,
+    name: character.name,
+    level: character.level,
+    levelName: character.level_name,
+    emoji: character.emoji || null,
+    model: analysis.model || null,
+    timestamp: Date.now(),
+    summary: analysis.summary || 'Analysis complete',
+    insights: analysis.insights || [],
+    entities: analysis.entities || {},
+    confidence: agentState.state.knowledge.understanding.confidence_level,
+    evolved: agentState.state.agent.evolved,
+    transformations: evolution.transformations,
+    builtOn: previous.map(output => output.agent),
+    // Measured, not model-reported: what the analysis was grounded in
+    repository: await getRepositoryStats(contextProvider),
+    usage: modelAdapter.usage.getReport()
+  };
+
+  // What changed in the agent's understanding since its last snapshot
+  const { snapshot, diff } = await recordSnapshot(output, { basePath: agentState.basePath, limit: retention.snapshots });
+  output.commit = snapshot.commit;
+  output.diff = diff;
+  output.diffMarkdown = diff ? formatDiffMarkdown(diff, `${output.emoji ? `${output.emoji} ` : ''}${output.name}`) : null;
 
-  return context;
+  // The run output is kept apart from the persistent state it came from
+  await agentState.saveOutput(output);
+  return output;
 }
 
-async function getFilesRecursively(dir, ignoreDirs = []) {
-  const files = [];
-  
-  try {
-    const entries = await readdir(dir);
-    
-    for (const entry of entries) {
-      if (entry.startsWith('.') && entry !== '.github') continue;
-      
-      const fullPath = join(dir, entry);
-      const stats = await stat(fullPath);
-      
-      if (stats.isDirectory()) {
-        if (!ignoreDirs.some(ignore => fullPath.includes(ignore))) {
-          files.push(...(await getFilesRecursively(fullPath, ignoreDirs)));
-        }
-      } else {
-        // Return relative path from the user's repo root
-        const userRepoPath = process.env.GITHUB_WORKSPACE || process.cwd();
-        const relativePath = fullPath.replace(userRepoPath + '/', '');
-        files.push(relativePath);
-      }
-    }
-  } catch (error) {
-    // Ignore permission errors
-  }
-  
-  return files;
+async function getRepositoryStats(contextProvider) {
+  const { languages, totals } = await contextProvider.getLanguageStats();
+  return { languages, totals };
 }
 
-async function analyzeRepository(agentState, modelAdapter, character) {
-  const repoContext = await getRepositoryContext();
+function printSummary(output) {
+  console.log(`✓ ${output.name} analysis complete`);
+  console.log(`  Insights: ${output.insights.length}`);
+  console.log(`  Entities: ${Object.values(output.entities).flat().length}`);
+}
+
+async function analyzeRepository(agentState, modelAdapter, character, config, contextProvider, previous = []) {
+  const repoContext = await contextProvider.getContext();
   
   // Load cached notes for context
-  const notesCache = new NotesCache(agentId);
+  const notesCache = new NotesCache(character.id);
   const cachedNotes = await notesCache.listAllNotes();
   
-  // Limit repository context to avoid token limits
   const limitedContext = {
     ...repoContext,
-    structure: repoContext.structure.slice(0, 50), // Limit to 50 files
     cachedNotes: cachedNotes.slice(0, 10) // Include recent cached notes
   };
 
-  const prompt = `You are ${character.name} (Level ${character.level} - ${character.level_name}).
-
-Analyze this repository structure:
+  const prompt = `Analyze this repository structure:
 ${JSON.stringify(limitedContext, null, 2)}
 
-Based on your level ${character.level} perspective, provide:
+The languages and line counts above are measured from the files, and the history section (when present) from git log; rely on them instead of estimating.
+
+${formatPriorFindings(previous)}Based on your level ${character.level} perspective, provide:
 1. A summary of what you observe
 2. 3-5 key insights specific to your domain
 3. Entities for your knowledge base
+4. Relationships between those entities (types: ${Object.keys(RELATIONSHIP_TYPES).join(', ')})
+5. Your confidence level (0-100)
 
 IMPORTANT: Respond ONLY with valid JSON. No additional text before or after.
 
@@ -174,33 +210,29 @@ IMPORTANT: Respond ONLY with valid JSON. No additional text before or after.
     "components": ["component1", "component2"],
     "patterns": ["pattern1"],
     "concepts": ["concept1"]
-  }
+  },
+  "relationships": [
+    { "from": "component1", "type": "depends-on", "to": "component2" },
+    { "from": "component2", "type": "implements", "to": "pattern1" }
+  ],
+  "confidence": 75
 }`;
 
-  const response = await modelAdapter.call(modelAdapter.defaultModel, prompt);
-  
   try {
-    // Try to parse JSON from response
-    const jsonMatch = response.text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const jsonStr = jsonMatch[0];
-      // Validate JSON before parsing
-      if (jsonStr.includes('"summary"') && jsonStr.includes('"insights"')) {
-        return JSON.parse(jsonStr);
-      }
-    }
-  } catch (e) {
-    console.warn(`JSON parsing failed for ${character.name}:`, e.message);
+    const settings = resolveModelSettings(config, character, 'analysis');
+    const { data, model } = await modelAdapter.callStructured(settings.model, prompt, {
+      ...settings,
+      agent: character.id,
+      phase: 'analysis',
+      system: buildSystemPrompt(character),
+      schema: ANALYSIS_SCHEMA
+    });
+    return { ...data, model };
+  } catch (error) {
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.warn(`JSON parsing failed for ${character.name}:`, error.message);
+    return fallbackAnalysis(error.rawText);
   }
-
-  // Fallback: extract summary from response text
-  const summary = response.text.substring(0, 500).replace(/[{}"]/g, '').trim();
-  
-  return {
-    summary: summary || 'Analysis completed successfully',
-    insights: ['Analysis completed successfully'],
-    entities: {}
-  };
 }
 
 runAgent();
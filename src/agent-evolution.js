@@ -0,0 +1,145 @@
+/**
+ * Agent Evolution
+ * Compares each analysis with an agent's accumulated knowledge and records
+ * learning history, transformations and the evolved flag
+ */
+
+import { normalizeKey } from './knowledge-consolidation.js';
+
+/**
+ * Defaults for when an analysis counts as a transformation and when an agent
+ * counts as evolved. Override any of them with `evolution` in the repository
+ * config (snake_case keys).
+ */
+export const EVOLUTION_DEFAULTS = {
+  // Confidence moving this many points in one run is a transformation
+  confidenceShift: 20,
+  // Share of this run's components/patterns the agent had never seen before
+  structuralShift: 0.5,
+  // A structural shift needs something to shift from
+  minKnownEntities: 5,
+  minRuns: 3,
+  minTransformations: 1,
+  minConfidence: 70
+};
+
+// Entity types whose churn signals a change in how the agent sees the architecture
+const STRUCTURAL_TYPES = ['components', 'patterns'];
+
+export function resolveEvolutionSettings(config = {}) {
+  const overrides = config.evolution || {};
+  return {
+    confidenceShift: overrides.confidence_shift ?? EVOLUTION_DEFAULTS.confidenceShift,
+    structuralShift: overrides.structural_shift ?? EVOLUTION_DEFAULTS.structuralShift,
+    minKnownEntities: overrides.min_known_entities ?? EVOLUTION_DEFAULTS.minKnownEntities,
+    minRuns: overrides.min_runs ?? EVOLUTION_DEFAULTS.minRuns,
+    minTransformations: overrides.min_transformations ?? EVOLUTION_DEFAULTS.minTransformations,
+    minConfidence: overrides.min_confidence ?? EVOLUTION_DEFAULTS.minConfidence
+  };
+}
+
+// Same identity as consolidation uses, so "new" matches what gets merged on save
+function knownSet(values = []) {
+  return new Set(values.map(value => normalizeKey(typeof value === 'string' ? value : value.name ?? value.text)));
+}
+
+/**
+ * Run the evolution step for one analysis. Call it before the analysis is
+ * folded into the state, so "new" means new relative to earlier runs.
+ *
+ * @param {import('./agent-state.js').AgentState} agentState
+ * @param {{ summary?: string, insights?: string[], entities?: object, confidence?: number, model?: string }} analysis
+ * @param {object} [config] - Repository config; only `evolution` is read
+ * @returns {{ entry: object, transformations: object[], evolvedNow: boolean }}
+ */
+export function evolveAgent(agentState, analysis, config = {}) {
+  const settings = resolveEvolutionSettings(config);
+  const state = agentState.state;
+  const evolution = state.evolution;
+  const knownEntities = state.knowledge.entities;
+  const previousConfidence = state.knowledge.understanding.confidence_level;
+  const now = Date.now();
+
+  // New findings relative to what the agent already knew
+  const seenInsights = knownSet(state.understanding.insights);
+  const newInsights = (analysis.insights || []).filter(insight => !seenInsights.has(normalizeKey(insight)));
+
+  let structuralTotal = 0;
+  let structuralNew = 0;
+  let knownStructural = 0;
+  const newEntities = {};
+
+  for (const [type, values] of Object.entries(analysis.entities || {})) {
+    if (!Array.isArray(values)) continue;
+
+    const seen = knownSet(knownEntities[type]);
+    const fresh = [...new Set(values.map(normalizeKey))].filter(value => !seen.has(value));
+    if (fresh.length > 0) {
+      newEntities[type] = fresh;
+    }
+
+    if (STRUCTURAL_TYPES.includes(type)) {
+      structuralTotal += new Set(values.map(normalizeKey)).size;
+      structuralNew += fresh.length;
+      knownStructural += seen.size;
+    }
+  }
+
+  const structuralNovelty = structuralTotal > 0 ? structuralNew / structuralTotal : 0;
+  const confidence = analysis.confidence ?? previousConfidence;
+  const confidenceDelta = confidence - previousConfidence;
+  const run = evolution.learningHistory.length > 0
+    ? evolution.learningHistory[evolution.learningHistory.length - 1].run + 1
+    : 1;
+
+  const entry = {
+    run,
+    timestamp: now,
+    model: analysis.model || null,
+    summary: analysis.summary || null,
+    newInsights: newInsights.length,
+    newEntities: Object.values(newEntities).flat().length,
+    structuralNovelty: Math.round(structuralNovelty * 100) / 100,
+    confidence,
+    confidenceDelta
+  };
+
+  // The first run establishes a baseline rather than transforming anything
+  const transformations = [];
+  if (run > 1 && Math.abs(confidenceDelta) >= settings.confidenceShift) {
+    transformations.push({
+      type: 'confidence_shift',
+      timestamp: now,
+      run,
+      description: `Confidence ${confidenceDelta > 0 ? 'rose' : 'fell'} from ${previousConfidence} to ${confidence}`,
+      from: previousConfidence,
+      to: confidence
+    });
+  }
+
+  if (run > 1 && knownStructural >= settings.minKnownEntities && structuralNovelty >= settings.structuralShift) {
+    transformations.push({
+      type: 'architectural_shift',
+      timestamp: now,
+      run,
+      description: `${Math.round(structuralNovelty * 100)}% of the components and patterns found were new to the agent`,
+      newEntities: STRUCTURAL_TYPES.flatMap(type => newEntities[type] || [])
+    });
+  }
+
+  // Retention caps the history when the state is saved
+  evolution.learningHistory.push(entry);
+  evolution.transformations.push(...transformations);
+
+  let evolvedNow = false;
+  if (!state.agent.evolved &&
+      run >= settings.minRuns &&
+      evolution.transformations.length >= settings.minTransformations &&
+      confidence >= settings.minConfidence) {
+    state.agent.evolved = true;
+    state.agent.evolvedAt = now;
+    evolvedNow = true;
+  }
+
+  return { entry, transformations, evolvedNow };
+}
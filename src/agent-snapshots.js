@@ -0,0 +1,276 @@
+/**
+ * Agent Snapshots
+ * Per-run snapshots of each agent's findings, keyed by commit SHA, and the
+ * diff between two of them
+ */
+
+import { unlink } from 'fs/promises';
+import { join } from 'path';
+import { execFileSync } from 'child_process';
+import { getRepoPath } from './config.js';
+import { writeJSONAtomic, withDirectoryLock, readJSONOrQuarantine } from './file-store.js';
+import { normalizeKey, textSimilarity, RETENTION_DEFAULTS } from './knowledge-consolidation.js';
+
+// Below consolidation's "same insight" threshold but close enough that a
+// removed and an added insight read as one finding being revised
+const CHANGED_INSIGHT_SIMILARITY = 0.3;
+
+/**
+ * The analyzed commit: `GITHUB_SHA` in Actions, otherwise the repository's
+ * HEAD. Outside a git checkout, a timestamp keeps snapshots distinct.
+ */
+export function getCommitSha(repoPath = getRepoPath()) {
+  if (process.env.GITHUB_SHA) return process.env.GITHUB_SHA;
+
+  try {
+    return execFileSync('git', ['rev-parse', 'HEAD'], { cwd: repoPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch (error) {
+    return `local-${Date.now()}`;
+  }
+}
+
+/**
+ * Build a snapshot from one run's output.
+ */
+export function createSnapshot(output, commit) {
+  const entities = {};
+  for (const [type, values] of Object.entries(output.entities || {})) {
+    if (Array.isArray(values)) {
+      entities[type] = values.filter(value => typeof value === 'string');
+    }
+  }
+
+  return {
+    agent: output.agent,
+    commit,
+    timestamp: output.timestamp || Date.now(),
+    model: output.model || null,
+    summary: output.summary || '',
+    confidence: output.confidence ?? null,
+    insights: (output.insights || []).filter(insight => typeof insight === 'string'),
+    entities
+  };
+}
+
+/**
+ * Snapshots live in `.agent-states/snapshots/<agent>/<sha>.json` next to the
+ * agent's state, with `index.json` recording their order.
+ */
+export class SnapshotStore {
+  constructor(agentId, options = {}) {
+    this.agentId = agentId;
+    this.dir = join(options.basePath || join(getRepoPath(), '.agent-states'), 'snapshots', agentId);
+    this.indexPath = join(this.dir, 'index.json');
+    this.limit = options.limit || RETENTION_DEFAULTS.snapshots;
+  }
+
+  async list() {
+    const index = await readJSONOrQuarantine(this.indexPath);
+    return Array.isArray(index?.snapshots) ? index.snapshots : [];
+  }
+
+  /**
+   * Store a snapshot, replacing one for the same commit, and prune the oldest
+   * beyond the limit.
+   */
+  async save(snapshot) {
+    await withDirectoryLock(this.dir, async () => {
+      await writeJSONAtomic(join(this.dir, `${snapshot.commit}.json`), snapshot);
+
+      const snapshots = (await this.list()).filter(entry => entry.commit !== snapshot.commit);
+      snapshots.push({ commit: snapshot.commit, timestamp: snapshot.timestamp });
+
+      const pruned = snapshots.splice(0, Math.max(0, snapshots.length - this.limit));
+      for (const entry of pruned) {
+        await unlink(join(this.dir, `${entry.commit}.json`)).catch(() => {});
+      }
+
+      await writeJSONAtomic(this.indexPath, { agent: this.agentId, snapshots });
+    });
+  }
+
+  /**
+   * Load a snapshot by full or abbreviated commit SHA.
+   */
+  async load(commit) {
+    const snapshots = await this.list();
+    const matches = snapshots.filter(entry => entry.commit.startsWith(commit));
+    if (matches.length === 0) {
+      throw new Error(`No snapshot of ${this.agentId} for commit ${commit}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Commit ${commit} is ambiguous for ${this.agentId}; use more characters`);
+    }
+    return (await readJSONOrQuarantine(join(this.dir, `${matches[0].commit}.json`))) || null;
+  }
+
+  async latest() {
+    const snapshots = await this.list();
+    if (snapshots.length === 0) return null;
+    return this.load(snapshots[snapshots.length - 1].commit);
+  }
+
+  /**
+   * The snapshot taken before the one for `commit`, or before the latest.
+   */
+  async previous(commit = null) {
+    const snapshots = await this.list();
+    const position = commit
+      ? snapshots.findIndex(entry => entry.commit === commit)
+      : snapshots.length - 1;
+    if (position < 1) return null;
+    return this.load(snapshots[position - 1].commit);
+  }
+}
+
+function keyed(values) {
+  const map = new Map();
+  for (const value of values) {
+    const key = normalizeKey(value);
+    if (key && !map.has(key)) {
+      map.set(key, value);
+    }
+  }
+  return map;
+}
+
+function diffEntities(before, after) {
+  const typeOf = snapshot => {
+    const types = new Map();
+    for (const [type, values] of Object.entries(snapshot.entities)) {
+      for (const [key, name] of keyed(values)) {
+        types.set(key, { type, name });
+      }
+    }
+    return types;
+  };
+
+  const old = typeOf(before);
+  const current = typeOf(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, entity] of current) {
+    const previous = old.get(key);
+    if (!previous) {
+      added.push(entity);
+    } else if (previous.type !== entity.type) {
+      changed.push({ name: entity.name, from: previous.type, to: entity.type });
+    }
+  }
+  for (const [key, entity] of old) {
+    if (!current.has(key)) {
+      removed.push(entity);
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+function diffInsights(before, after) {
+  const old = keyed(before.insights);
+  const current = keyed(after.insights);
+
+  let added = [...current].filter(([key]) => !old.has(key)).map(([, text]) => text);
+  let removed = [...old].filter(([key]) => !current.has(key)).map(([, text]) => text);
+
+  // Pair each removed insight with its closest added one: a reworded or
+  // revised finding rather than one lost and one gained
+  const changed = [];
+  for (const previous of [...removed]) {
+    let best = null;
+    let bestScore = CHANGED_INSIGHT_SIMILARITY;
+    for (const candidate of added) {
+      const score = textSimilarity(previous, candidate);
+      if (score >= bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    if (best) {
+      changed.push({ before: previous, after: best });
+      added = added.filter(text => text !== best);
+      removed = removed.filter(text => text !== previous);
+    }
+  }
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compare two snapshots of the same agent.
+ *
+ * @returns {{ agent: string, from: string, to: string, summaryChanged: boolean,
+ *   confidence: { before: number|null, after: number|null, delta: number|null },
+ *   entities: { added: object[], removed: object[], changed: object[] },
+ *   insights: { added: string[], removed: string[], changed: object[] } }}
+ */
+export function diffSnapshots(before, after) {
+  const delta = before.confidence !== null && after.confidence !== null
+    ? after.confidence - before.confidence
+    : null;
+
+  return {
+    agent: after.agent,
+    from: before.commit,
+    to: after.commit,
+    summaryChanged: before.summary !== after.summary,
+    confidence: { before: before.confidence, after: after.confidence, delta },
+    entities: diffEntities(before, after),
+    insights: diffInsights(before, after)
+  };
+}
+
+export function isEmptyDiff(diff) {
+  return !diff.confidence.delta &&
+    ['added', 'removed', 'changed'].every(kind => diff.entities[kind].length === 0 && diff.insights[kind].length === 0);
+}
+
+/**
+ * Markdown for the summary issue: a headline per agent, then what changed.
+ */
+export function formatDiffMarkdown(diff, name = diff.agent, maxItems = 5) {
+  const short = sha => sha.substring(0, 7);
+  const { confidence, entities, insights } = diff;
+
+  let text = `**${name}** (\`${short(diff.from)}\` → \`${short(diff.to)}\`)`;
+  if (isEmptyDiff(diff)) {
+    return `${text}: no change in understanding\n`;
+  }
+
+  if (confidence.delta) {
+    text += `: confidence ${confidence.before} → ${confidence.after} (${confidence.delta > 0 ? '+' : ''}${confidence.delta})`;
+  }
+  text += `\n`;
+
+  const list = (label, items, render) => {
+    if (items.length === 0) return;
+    text += `- ${label}: ${items.slice(0, maxItems).map(render).join('; ')}`;
+    text += items.length > maxItems ? ` (+${items.length - maxItems} more)\n` : `\n`;
+  };
+  list('New entities', entities.added, e => `${e.name} (${e.type})`);
+  list('Dropped entities', entities.removed, e => `${e.name} (${e.type})`);
+  list('Reclassified', entities.changed, e => `${e.name}: ${e.from} → ${e.to}`);
+  list('New insights', insights.added, i => i);
+  list('Dropped insights', insights.removed, i => i);
+  list('Revised insights', insights.changed, i => `"${i.before}" → "${i.after}"`);
+
+  return text;
+}
+
+/**
+ * Snapshot a run's output and diff it against the agent's previous snapshot.
+ *
+ * @param {object} output - Run output with agent, summary, insights, entities and confidence
+ * @param {object} [options] - basePath, limit and the repository to read the commit from
+ * @returns {Promise<{ snapshot: object, diff: object|null }>} `diff` is null on an agent's first run
+ */
+export async function recordSnapshot(output, options = {}) {
+  const store = new SnapshotStore(output.agent, options);
+  const snapshot = createSnapshot(output, getCommitSha(options.repoPath));
+  await store.save(snapshot);
+
+  const previous = await store.previous(snapshot.commit);
+  return { snapshot, diff: previous ? diffSnapshots(previous, snapshot) : null };
+}
@@ -3,32 +3,96 @@
  * Handles loading, saving, and managing agent memory/knowledge
  */
 
-import { readFile, writeFile, mkdir } from 'fs/promises';
 import { join } from 'path';
-import { existsSync } from 'fs';
+import { getRepoPath } from './config.js';
+import { STATE_VERSION, migrateState } from './state-schema.js';
+import { consolidateState, RETENTION_DEFAULTS } from './knowledge-consolidation.js';
+import { KnowledgeGraph } from './knowledge-graph.js';
+import { writeJSONAtomic, withDirectoryLock, readJSONOrQuarantine, quarantineFile } from './file-store.js';
 
+/**
+ * Persistent agent memory lives in `<agent>.json`; the latest run's output
+ * (what the summary issue and coaching read) lives next to it in
+ * `<agent>.output.json`.
+ */
 export class AgentState {
-  constructor(agentId, basePath = '.agent-states') {
+  /**
+   * @param {string} agentId
+   * @param {string|object} [options] - Base path, or `{ basePath, retention }`
+   *   where `retention` comes from resolveRetention(config)
+   */
+  constructor(agentId, options = {}) {
+    if (typeof options === 'string') {
+      options = { basePath: options };
+    }
+    const basePath = options.basePath || join(getRepoPath(), '.agent-states');
+
     this.agentId = agentId;
     this.basePath = basePath;
+    this.retention = options.retention || RETENTION_DEFAULTS;
     this.statePath = join(basePath, `${agentId}.json`);
+    this.outputPath = join(basePath, `${agentId}.output.json`);
     this.state = null;
   }
 
   async load() {
+    const result = await this.read();
+    if (result?.migrated) await this.save();
+    return Boolean(result);
+  }
+
+  /**
+   * Read and migrate the state file without writing it back.
+   * @returns {Promise<object|null>} The migration result, or null if there is no usable state
+   */
+  async read() {
+    // A truncated file is set aside with a backup rather than silently lost
+    const raw = await readJSONOrQuarantine(this.statePath);
+    if (raw === undefined) return null;
+
+    // Older files are upgraded in place so agent branches keep their history;
+    // one that still fails validation is set aside like a truncated one
+    let result;
     try {
-      if (existsSync(this.statePath)) {
-        const data = await readFile(this.statePath, 'utf8');
-        this.state = JSON.parse(data);
-        return true;
-      }
+      result = migrateState(raw, this.agentId);
     } catch (error) {
-      console.warn(`Could not load state for ${this.agentId}:`, error.message);
+      await quarantineFile(this.statePath, error.message);
+      console.warn(`Starting ${this.agentId} with fresh state`);
+      return null;
+    }
+
+    this.state = result.state;
+    if (result.migrated) {
+      console.warn(`Migrated state for ${this.agentId} from ${result.fromVersion} to ${STATE_VERSION}`);
     }
-    return false;
+    return result;
   }
 
-  async initialize(character, repoContext) {
+  /**
+   * Apply `change` to the latest saved state and save the result, holding
+   * the state lock from read to write so concurrent runs can't overwrite
+   * each other's updates. Without saved state, a fresh one is started from
+   * `character` and `repoContext`. `change` should be quick: make LLM calls
+   * before it, not inside it.
+   *
+   * @param {(agentState: AgentState) => T|Promise<T>} change
+   * @param {{ character?: object, repoContext?: object }} [fresh]
+   * @returns {Promise<T>} What `change` returned
+   * @template T
+   */
+  async update(change, { character, repoContext } = {}) {
+    return withDirectoryLock(this.basePath, async () => {
+      if (!(await this.read())) {
+        this.initialize(character, repoContext);
+      }
+      const result = await change(this);
+      await this.write();
+      return result;
+    });
+  }
+
+  // Fresh state in memory; it is written by the next save() or update()
+  initialize(character, repoContext) {
     this.state = {
       agent: {
         id: this.agentId,
@@ -36,14 +100,18 @@ export class AgentState {
         level: character.level,
         levelName: character.level_name,
         focus: character.focus,
-        evolved: false
+        evolved: false,
+        evolvedAt: null
       },
       knowledge: {
         entities: {
           components: [],
           patterns: [],
-          concepts: [],
-          relationships: []
+          concepts: []
+        },
+        graph: {
+          nodes: [],
+          edges: []
         },
         understanding: {
           confidence_level: 0,
@@ -67,30 +135,40 @@ export class AgentState {
       metadata: {
         created: Date.now(),
         lastModified: Date.now(),
-        version: '1.0.0'
+        version: STATE_VERSION
       }
     };
-    
-    await this.save();
   }
 
   async save() {
+    await withDirectoryLock(this.basePath, () => this.write());
+  }
+
+  // Write without taking the lock; callers hold it already
+  async write() {
     try {
-      // Ensure directory exists
-      await mkdir(this.basePath, { recursive: true });
-      
-      // Update timestamp
+      // Merge duplicates and apply retention, then update timestamp
       if (this.state) {
+        consolidateState(this.state, this.retention);
         this.state.metadata.lastModified = Date.now();
       }
       
       // Write state
-      await writeFile(this.statePath, JSON.stringify(this.state, null, 2), 'utf8');
+      await writeJSONAtomic(this.statePath, this.state);
     } catch (error) {
       throw new Error(`Failed to save state for ${this.agentId}: ${error.message}`);
     }
   }
 
+  // Replaced whole each run, so the atomic rename is all it needs
+  async saveOutput(output) {
+    try {
+      await writeJSONAtomic(this.outputPath, output);
+    } catch (error) {
+      throw new Error(`Failed to save output for ${this.agentId}: ${error.message}`);
+    }
+  }
+
   addInsight(insight) {
     if (!this.state.understanding.insights) {
       this.state.understanding.insights = [];
@@ -111,5 +189,47 @@ export class AgentState {
   updateConfidence(level) {
     this.state.knowledge.understanding.confidence_level = level;
   }
+
+  getGraph() {
+    return KnowledgeGraph.fromJSON(this.state.knowledge.graph);
+  }
+
+  /**
+   * Add an analysis' entities as nodes and its relationships as edges.
+   * @param {object} analysis
+   * @param {{ kind: string, path?: string, note?: string, level?: string }} [source] - Provenance for edges
+   */
+  recordGraph(analysis, source = { kind: 'analysis' }) {
+    const graph = this.getGraph();
+    graph.addEntities(analysis.entities);
+    graph.addRelationships([
+      ...(analysis.relationships || []),
+      ...(analysis.entities?.relationships || [])
+    ], source);
+    this.state.knowledge.graph = graph.toJSON();
+  }
+
+  // Fold one analysis result (summary/insights/entities/relationships/confidence) into the state
+  recordAnalysis(analysis, source = { kind: 'analysis' }) {
+    for (const insight of analysis.insights || []) {
+      this.addInsight(insight);
+    }
+
+    this.recordGraph(analysis, source);
+
+    for (const [type, entities] of Object.entries(analysis.entities || {})) {
+      // Relationships live in the graph rather than as loose strings
+      if (type === 'relationships') continue;
+      if (Array.isArray(entities)) {
+        for (const entity of entities) {
+          this.addEntity(type, entity);
+        }
+      }
+    }
+
+    if (analysis.confidence !== undefined) {
+      this.updateConfidence(analysis.confidence);
+    }
+  }
 }
 
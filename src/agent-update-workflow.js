@@ -5,113 +5,138 @@
 
 import { AgentState } from './agent-state.js';
 import { ModelAdapter } from './model-adapter.js';
-import { CharacterSystem } from './character-system.js';
+import { createCharacterSystem, buildSystemPrompt } from './character-system.js';
 import { GitHubIntegration } from './github-integration.js';
-import { join } from 'path';
+import { StructuredOutputError } from './llm-errors.js';
+import { ANALYSIS_SCHEMA, fallbackAnalysis } from './output-schemas.js';
+import { loadConfig, getRepoPath } from './config.js';
+import { resolveModelSettings } from './model-settings.js';
+import { evolveAgent } from './agent-evolution.js';
+import { resolveRetention } from './knowledge-consolidation.js';
+import { RELATIONSHIP_TYPES } from './knowledge-graph.js';
+import { recordSnapshot } from './agent-snapshots.js';
+import { planWorkflow, runWorkflow, formatPriorFindings } from './workflow.js';
 
 export async function runAgentUpdate(repoContext, options = {}) {
   const {
-    agents = ['architect', 'educator', 'visionary', 'philosopher'],
-    model = 'anthropic/claude-3.5-sonnet',
+    model = process.env.MODEL,
+    provider,
     createBranches = true
   } = options;
+  const config = options.config || await loadConfig();
 
   // Initialize systems
   const modelAdapter = new ModelAdapter({
-    openrouterKey: process.env.OPENROUTER_API_KEY,
+    provider,
     defaultModel: model
   });
 
-  const characterSystem = new CharacterSystem(
-    join(process.cwd(), 'characters', 'project-analysis.json')
-  );
-  await characterSystem.loadCharacters();
+  const characterSystem = await createCharacterSystem(config);
+  const agents = options.agents || characterSystem.getCharacterIds();
 
-  const github = new GitHubIntegration();
+  const github = new GitHubIntegration(getRepoPath());
 
-  // Process each agent
-  const results = {};
-
-  for (const agentId of agents) {
+  // Agents build on earlier levels' findings, in the characters' workflow order
+  const stages = planWorkflow(characterSystem, agents);
+  const { results: outcomes } = await runWorkflow(stages, async (agentId, previous) => {
     console.log(`\nProcessing ${agentId}...`);
-    
-    try {
-      const character = characterSystem.getCharacter(agentId);
-      const agentState = new AgentState(agentId);
-      
-      // Load or initialize state
-      let loaded = await agentState.load();
-      if (!loaded) {
-        await agentState.initialize(character, repoContext);
-      }
 
-      // Run analysis
-      const analysis = await analyzeWithAgent(agentState, character, repoContext, modelAdapter);
-      
-      // Update state
-      if (analysis.insights) {
-        for (const insight of analysis.insights) {
-          agentState.addInsight(insight);
-        }
+    const character = characterSystem.getCharacter(agentId);
+    const retention = resolveRetention(config);
+    const agentState = new AgentState(agentId, { retention });
+
+    // Load state, or start one in memory that the update below saves
+    if (!(await agentState.load())) {
+      agentState.initialize(character, repoContext);
+    }
+
+    // Run analysis
+    const analysis = await analyzeWithAgent(agentState, character, repoContext, modelAdapter, config, previous);
+
+    // Evolve against what the agent knew before this run, then learn from
+    // it under the state lock; a fallback analysis is reported but never
+    // learned from
+    if (analysis.fallback) {
+      console.warn(`⚠️ ${character.name}: no valid analysis, knowledge left unchanged`);
+    } else {
+      const evolution = await agentState.update(state => {
+        const evolution = evolveAgent(state, analysis, config);
+        state.recordAnalysis(analysis, { kind: 'analysis', phase: 'analysis' });
+        return evolution;
+      }, { character, repoContext });
+      for (const transformation of evolution.transformations) {
+        console.log(`🦋 ${character.name}: ${transformation.description}`);
       }
-      
-      if (analysis.entities) {
-        for (const [type, entities] of Object.entries(analysis.entities)) {
-          if (Array.isArray(entities)) {
-            for (const entity of entities) {
-              agentState.addEntity(type, entity);
-            }
-          }
-        }
+      if (evolution.evolvedNow) {
+        console.log(`🌟 ${character.name} has evolved`);
       }
+    }
 
-      if (analysis.confidence !== undefined) {
-        agentState.updateConfidence(analysis.confidence);
-      }
+    const { diff } = await recordSnapshot({
+      agent: agentId,
+      model: analysis.model,
+      summary: analysis.summary,
+      insights: analysis.insights,
+      entities: analysis.entities,
+      confidence: agentState.state.knowledge.understanding.confidence_level
+    }, { basePath: agentState.basePath, limit: retention.snapshots });
 
-      await agentState.save();
+    console.log(`✓ ${character.name} complete`);
+    return {
+      name: character.name,
+      level: character.level,
+      levelName: character.level_name,
+      model: analysis.model,
+      summary: analysis.summary,
+      insights: analysis.insights,
+      entities: analysis.entities,
+      diff
+    };
+  });
 
+  const results = {};
+  for (const [agentId, outcome] of Object.entries(outcomes)) {
+    if (!outcome.success) {
       results[agentId] = {
-        success: true,
-        summary: analysis.summary,
-        insights: analysis.insights
+        success: false,
+        error: outcome.error.message
       };
+      continue;
+    }
 
-      // Optionally commit to agent branch
-      if (createBranches) {
-        await github.commitAndPush(
-          `agent/${agentId}`,
-          `🤖 ${character.name}: Analysis update`,
-          [`.agent-states/${agentId}.json`]
-        );
-      }
+    results[agentId] = {
+      success: true,
+      model: outcome.output.model,
+      summary: outcome.output.summary,
+      insights: outcome.output.insights,
+      diff: outcome.output.diff
+    };
 
-      console.log(`✓ ${character.name} complete`);
-    } catch (error) {
-      console.error(`✗ ${agentId} failed:`, error.message);
-      results[agentId] = {
-        success: false,
-        error: error.message
-      };
+    // Optionally publish to the agent's branch; the checkout is left as is
+    if (createBranches) {
+      try {
+        await github.publishAgentBranch(agentId, { message: `🤖 ${outcome.output.name}: Analysis update` });
+      } catch (error) {
+        console.error(`Failed to publish agent/${agentId}:`, error.message);
+      }
     }
   }
 
   return results;
 }
 
-async function analyzeWithAgent(agentState, character, repoContext, modelAdapter) {
-  const prompt = `You are ${character.name}, a ${character.role} operating at Level ${character.level} - ${character.level_name}.
-
-Your focus areas: ${character.focus.join(', ')}
-
-Analyze this repository:
+async function analyzeWithAgent(agentState, character, repoContext, modelAdapter, config, previous = []) {
+  const prompt = `Analyze this repository:
 ${JSON.stringify(repoContext, null, 2)}
 
-Based on your Level ${character.level} perspective, provide:
+The languages and line counts above are measured from the files, and the history section (when present) from git log; rely on them instead of estimating.
+
+${formatPriorFindings(previous)}Based on your Level ${character.level} perspective, provide:
 1. A summary of what you observe (2-3 sentences)
 2. 3-5 key insights specific to your domain
 3. Relevant entities for your knowledge base
-4. Your confidence level (0-100)
+4. Relationships between those entities (types: ${Object.keys(RELATIONSHIP_TYPES).join(', ')})
+5. Your confidence level (0-100)
 
 Respond in JSON format:
 {
@@ -122,21 +147,27 @@ Respond in JSON format:
     "patterns": ["pattern1"],
     "concepts": ["concept1"]
   },
+  "relationships": [
+    { "from": "component1", "type": "depends-on", "to": "component2" },
+    { "from": "component2", "type": "implements", "to": "pattern1" }
+  ],
   "confidence": 75
 }`;
 
   try {
-    const analysis = await modelAdapter.callWithJSON(modelAdapter.defaultModel, prompt);
-    return analysis;
+    const settings = resolveModelSettings(config, character, 'analysis');
+    const { data, model } = await modelAdapter.callStructured(settings.model, prompt, {
+      ...settings,
+      agent: character.id,
+      phase: 'analysis',
+      system: buildSystemPrompt(character),
+      schema: ANALYSIS_SCHEMA
+    });
+    return { ...data, model };
   } catch (error) {
-    // Fallback if JSON parsing fails
-    const response = await modelAdapter.call(modelAdapter.defaultModel, prompt);
-    return {
-      summary: response.text.substring(0, 500),
-      insights: ['Analysis completed'],
-      entities: {},
-      confidence: 50
-    };
+    if (!(error instanceof StructuredOutputError)) throw error;
+    console.warn(`JSON parsing failed for ${character.name}:`, error.message);
+    return fallbackAnalysis(error.rawText);
   }
 }
 
@@ -4,26 +4,122 @@
  */
 
 import { readFile } from 'fs/promises';
+import { join, isAbsolute } from 'path';
+import { existsSync } from 'fs';
+import { validateSchema } from './json-schema.js';
+import { LLM_SETTINGS_SCHEMA, getRepoPath } from './config.js';
+
+export const DEFAULT_CHARACTERS_PATH = '.clab/characters.json';
+
+export const CHARACTER_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'role', 'level', 'level_name', 'focus', 'persona', 'output_style'],
+  properties: {
+    // Ids become branch names (agent/<id>) and file names
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]*$' },
+    name: { type: 'string', minLength: 1 },
+    role: { type: 'string', minLength: 1 },
+    level: { type: 'integer', minimum: 1 },
+    level_name: { type: 'string', minLength: 1 },
+    focus: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } },
+    persona: { type: 'string', minLength: 1 },
+    output_style: { type: 'string', minLength: 1 },
+    emoji: { type: 'string' },
+    llm: LLM_SETTINGS_SCHEMA
+  }
+};
+
+export const WORKFLOW_SCHEMA = {
+  type: 'object',
+  properties: {
+    order: { type: 'array', items: { type: 'string' } },
+    description: { type: 'string' },
+    parallel: { type: 'boolean' }
+  }
+};
 
 export class CharacterSystem {
-  constructor(characterFilePath) {
+  /**
+   * @param {string} characterFilePath - The action's built-in character definitions
+   * @param {object} [options]
+   * @param {string} [options.overridesPath] - Optional file in the analyzed repository
+   *   whose characters are merged over the defaults by `id`
+   */
+  constructor(characterFilePath, options = {}) {
     this.characterFilePath = characterFilePath;
+    this.overridesPath = options.overridesPath || null;
     this.characters = {};
+    this.sources = {};
+    this.workflow = {};
   }
 
   async loadCharacters() {
+    await this.mergeCharacterFile(this.characterFilePath);
+
+    if (this.overridesPath && existsSync(this.overridesPath)) {
+      await this.mergeCharacterFile(this.overridesPath);
+    }
+
+    this.validateCharacters();
+  }
+
+  async mergeCharacterFile(filePath) {
+    let characterData;
     try {
-      const data = await readFile(this.characterFilePath, 'utf8');
-      const characterData = JSON.parse(data);
-      
-      // Store characters by ID for easy lookup
-      if (characterData.characters && Array.isArray(characterData.characters)) {
-        for (const char of characterData.characters) {
-          this.characters[char.id] = char;
-        }
-      }
+      const data = await readFile(filePath, 'utf8');
+      characterData = JSON.parse(data);
     } catch (error) {
-      throw new Error(`Failed to load characters from ${this.characterFilePath}: ${error.message}`);
+      throw new Error(`Failed to load characters from ${filePath}: ${error.message}`);
+    }
+
+    // A repository file may only reorder the workflow without adding characters
+    if (characterData.workflow && characterData.characters === undefined) {
+      characterData.characters = [];
+    }
+
+    if (!Array.isArray(characterData.characters)) {
+      throw new Error(`Failed to load characters from ${filePath}: expected a "characters" array`);
+    }
+
+    if (characterData.workflow) {
+      const errors = validateSchema(characterData.workflow, WORKFLOW_SCHEMA, '$.workflow');
+      if (errors.length > 0) {
+        throw new Error(`Invalid workflow in ${filePath}:\n  ${errors.join('\n  ')}`);
+      }
+      this.workflow = { ...this.workflow, ...characterData.workflow };
+    }
+
+    // Store characters by ID for easy lookup; a known ID overrides only the
+    // fields it sets, so a repository can tweak one persona without copying it
+    characterData.characters.forEach((char, index) => {
+      if (!char || typeof char.id !== 'string') {
+        throw new Error(`Invalid character at ${filePath} characters[${index}]: missing "id"`);
+      }
+      this.characters[char.id] = {
+        ...this.characters[char.id],
+        ...char
+      };
+      this.sources[char.id] = filePath;
+    });
+  }
+
+  validateCharacters() {
+    const problems = [];
+
+    for (const character of Object.values(this.characters)) {
+      const errors = validateSchema(character, CHARACTER_SCHEMA);
+      if (errors.length > 0) {
+        problems.push(`Character '${character.id}' (${this.sources[character.id]}):\n    ${errors.join('\n    ')}`);
+      }
+    }
+
+    const unknown = (this.workflow.order || []).filter(id => !this.characters[id]);
+    if (unknown.length > 0) {
+      problems.push(`Workflow order names unknown characters: ${unknown.join(', ')}`);
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid character definitions:\n  ${problems.join('\n  ')}`);
     }
   }
 
@@ -39,8 +135,65 @@ export class CharacterSystem {
     return Object.values(this.characters);
   }
 
+  getCharacterIds() {
+    return Object.keys(this.characters);
+  }
+
+  getWorkflow() {
+    return {
+      order: this.workflow.order || [],
+      parallel: this.workflow.parallel === true,
+      description: this.workflow.description || ''
+    };
+  }
+
   getCharactersByLevel(level) {
     return Object.values(this.characters).filter(c => c.level === level);
   }
 }
 
+/**
+ * Load the action's default characters merged with the analyzed repository's
+ * own definitions (`characters` in the config, `CLAB_CHARACTERS`, or
+ * `.clab/characters.json`).
+ */
+export async function createCharacterSystem(config = {}, repoPath = getRepoPath()) {
+  const actionPath = process.env.GITHUB_ACTION_PATH || process.cwd();
+  const overridesPath = process.env.CLAB_CHARACTERS || config.characters || DEFAULT_CHARACTERS_PATH;
+
+  const characterSystem = new CharacterSystem(
+    join(actionPath, 'characters', 'project-analysis.json'),
+    { overridesPath: isAbsolute(overridesPath) ? overridesPath : join(repoPath, overridesPath) }
+  );
+  await characterSystem.loadCharacters();
+  return characterSystem;
+}
+
+/**
+ * Build an agent's system prompt from its full character definition, so each
+ * perspective speaks with its own persona and output style.
+ */
+export function buildSystemPrompt(character) {
+  const lines = [
+    `You are ${character.name}, the ${character.role} of a multi-agent codebase analysis team.`,
+    `You operate at Level ${character.level} - ${character.level_name}.`
+  ];
+
+  if (character.persona) {
+    lines.push('', character.persona);
+  }
+
+  if (character.focus?.length) {
+    lines.push('', 'Your focus areas:', ...character.focus.map(area => `- ${area}`));
+  }
+
+  if (character.output_style) {
+    lines.push(
+      '',
+      `Output style: ${character.output_style}.`,
+      'Write every summary, insight and recommendation in this voice. The other agents cover the other perspectives, so stay within yours rather than giving a generic review.'
+    );
+  }
+
+  return lines.join('\n');
+}
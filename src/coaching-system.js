@@ -4,14 +4,25 @@
  */
 
 import { ModelAdapter } from './model-adapter.js';
-import { CharacterSystem } from './character-system.js';
+import { CharacterSystem, buildSystemPrompt } from './character-system.js';
+import { isFatalLLMError, StructuredOutputError } from './llm-errors.js';
+import { IMPROVEMENTS_SCHEMA, DISCUSSION_SCHEMA, COACHING_REPORT_SCHEMA } from './output-schemas.js';
+import { resolveModelSettings } from './model-settings.js';
 import { join } from 'path';
 
+// The coach is not a character, but can still get its own model settings
+// through `llm.agents.coach` in the repository config
+const COACH = { id: 'coach' };
+
+const COACH_SYSTEM_PROMPT = `You are the Coach of a multi-agent codebase analysis team. You turn the agents' separate perspectives into concrete, prioritized engineering improvements. Be specific to this repository, name the files and components involved, and prefer actionable steps over general advice.`;
+
 export class CoachingSystem {
-  constructor(modelAdapter, characterSystem, silent = false) {
+  constructor(modelAdapter, characterSystem, silent = false, config = {}) {
     this.modelAdapter = modelAdapter;
     this.characterSystem = characterSystem;
     this.silent = silent;
+    this.config = config;
+    this.improvementsModel = null;
   }
 
   async analyzeImprovements(repoContext, agentInsights) {
@@ -34,7 +45,9 @@ Identify improvements across these categories:
 6. **Security** - Vulnerabilities, best practices
 7. **Developer Experience** - Tooling, workflows, automation
 8. **Maintainability** - Code clarity, dependencies
-
+${repoContext.history ? `
+The repository context includes git history. Prefer improvements that target its hotspots (large files that change often), its strongly coupled file pairs (files that keep changing together) and directories where one author makes nearly every change; name the files involved.
+` : ''}
 Respond in JSON format:
 {
   "improvements": [
@@ -51,9 +64,18 @@ Respond in JSON format:
 }`;
 
     try {
-      const response = await this.modelAdapter.callWithJSON(this.modelAdapter.defaultModel, prompt);
-      return response.improvements || [];
+      const settings = resolveModelSettings(this.config, COACH, 'coaching');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: COACH.id,
+        phase: 'coaching',
+        system: COACH_SYSTEM_PROMPT,
+        schema: IMPROVEMENTS_SCHEMA
+      });
+      this.improvementsModel = model;
+      return data.improvements || [];
     } catch (error) {
+      if (isFatalLLMError(error)) throw error;
       console.warn('Failed to analyze improvements:', error.message);
       return [];
     }
@@ -62,19 +84,17 @@ Respond in JSON format:
   async facilitateAgentDiscussion(improvements, agentInsights) {
     if (!this.silent) console.log('💬 Facilitating agent discussion...');
     
-    const agents = ['architect', 'educator', 'visionary', 'philosopher'];
     const discussions = {};
 
-    for (const agentId of agents) {
+    // Only agents that produced insights this run have a view to add
+    for (const [agentId, insights] of Object.entries(agentInsights)) {
       const character = this.characterSystem.getCharacter(agentId);
-      const insights = agentInsights[agentId];
+      if (!character) continue;
       
-      const prompt = `You are ${character.name} (Level ${character.level} - ${character.level_name}).
-
-Based on your analysis and these potential improvements, provide your perspective:
+      const prompt = `Based on your analysis and these potential improvements, provide your perspective:
 
 Your Analysis:
-${insights ? JSON.stringify(insights, null, 2) : 'No analysis available'}
+${JSON.stringify(insights, null, 2)}
 
 Potential Improvements:
 ${JSON.stringify(improvements, null, 2)}
@@ -101,12 +121,21 @@ Respond in JSON format:
 }`;
 
       try {
-        const response = await this.modelAdapter.callWithJSON(this.modelAdapter.defaultModel, prompt);
+        const settings = resolveModelSettings(this.config, character, 'coaching');
+        const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+          ...settings,
+          agent: agentId,
+          phase: 'coaching',
+          system: buildSystemPrompt(character),
+          schema: DISCUSSION_SCHEMA
+        });
         discussions[agentId] = {
           character: character,
-          discussion: response
+          model: model,
+          discussion: data
         };
       } catch (error) {
+        if (isFatalLLMError(error)) throw error;
         console.warn(`Failed to get discussion from ${agentId}:`, error.message);
         discussions[agentId] = {
           character: character,
@@ -164,13 +193,21 @@ Respond in JSON format:
 }`;
 
     try {
-      const response = await this.modelAdapter.callWithJSON(this.modelAdapter.defaultModel, prompt);
-      return response;
+      const settings = resolveModelSettings(this.config, COACH, 'coaching');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: COACH.id,
+        phase: 'coaching',
+        system: COACH_SYSTEM_PROMPT,
+        schema: COACHING_REPORT_SCHEMA
+      });
+      return { ...data, model };
     } catch (error) {
+      if (isFatalLLMError(error)) throw error;
       console.warn('Failed to generate coaching report:', error.message);
       
       // Check if it's a JSON parsing error
-      if (error.message.includes('Failed to parse JSON') || error.message.includes('JSON')) {
+      if (error instanceof StructuredOutputError) {
         console.warn('  Invalid JSON response from coaching report generation');
       }
       
@@ -205,6 +242,7 @@ Respond in JSON format:
     
     return {
       improvements,
+      improvementsModel: this.improvementsModel,
       discussions,
       coachingReport,
       timestamp: Date.now()
@@ -0,0 +1,113 @@
+/**
+ * Concurrency
+ * Bounded parallelism for batches of LLM calls
+ */
+
+/**
+ * Map over `items` with at most `limit` calls of `fn` in flight, keeping the
+ * results in input order. Like Promise.allSettled, every item settles: a
+ * rejection is reported as `{ status: 'rejected', reason }` and the rest
+ * keep running.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<Array<PromiseSettledResult<R>>>}
+ */
+export async function mapSettledWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+/**
+ * Run tasks with at most `limit` in flight, starting each one only after
+ * every task it depends on has settled. Dependencies on ids that are not in
+ * `tasks` are ignored, and a failed dependency does not hold its dependents
+ * back. Ready tasks start in the order they are given.
+ *
+ * A rejection for which `stopOn` returns true stops the run: no new task
+ * starts, and once the ones in flight settle the returned promise rejects
+ * with that reason.
+ *
+ * @template {{ id: string, dependsOn?: string[] }} T
+ * @param {T[]} tasks
+ * @param {number} limit
+ * @param {(task: T) => Promise<any>} fn
+ * @param {object} [options]
+ * @param {(reason: any) => boolean} [options.stopOn]
+ * @param {(task: T, outcome: PromiseSettledResult<any>) => void} [options.onSettled]
+ * @returns {Promise<Map<string, PromiseSettledResult<any>>>} Outcomes by task id
+ */
+export function runWithDependencies(tasks, limit, fn, { stopOn = () => false, onSettled } = {}) {
+  const ids = new Set(tasks.map(task => task.id));
+  const waiting = new Map();
+  const dependents = new Map();
+  for (const task of tasks) {
+    const dependencies = new Set((task.dependsOn || []).filter(id => ids.has(id) && id !== task.id));
+    waiting.set(task.id, dependencies);
+    for (const id of dependencies) {
+      if (!dependents.has(id)) dependents.set(id, []);
+      dependents.get(id).push(task);
+    }
+  }
+
+  const ready = tasks.filter(task => waiting.get(task.id).size === 0);
+  const outcomes = new Map();
+  let running = 0;
+  let stopped = null;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      if (running > 0 || (!stopped && ready.length > 0)) return;
+      if (stopped) reject(stopped.reason);
+      else if (outcomes.size < tasks.length) reject(new Error(`Dependency cycle among ${tasks.length - outcomes.size} task(s)`));
+      else resolve(outcomes);
+    };
+
+    const settle = (task, outcome) => {
+      running--;
+      outcomes.set(task.id, outcome);
+      if (outcome.status === 'rejected' && !stopped && stopOn(outcome.reason)) stopped = outcome;
+      onSettled?.(task, outcome);
+
+      for (const dependent of dependents.get(task.id) || []) {
+        const remaining = waiting.get(dependent.id);
+        remaining.delete(task.id);
+        if (remaining.size === 0) ready.push(dependent);
+      }
+      launch();
+      finish();
+    };
+
+    const launch = () => {
+      while (!stopped && running < Math.max(1, limit) && ready.length > 0) {
+        const task = ready.shift();
+        running++;
+        Promise.resolve()
+          .then(() => fn(task))
+          .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+          .then(outcome => settle(task, outcome))
+          .catch(reject);
+      }
+    };
+
+    launch();
+    finish();
+  });
+}
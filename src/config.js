@@ -0,0 +1,156 @@
+/**
+ * Configuration
+ * Loads the optional per-repository config file for the analyzed repository
+ */
+
+import { readFile } from 'fs/promises';
+import { join, isAbsolute } from 'path';
+import { existsSync } from 'fs';
+import { validateSchema } from './json-schema.js';
+import { PHASES } from './model-settings.js';
+
+export const DEFAULT_CONFIG_PATH = '.clab/config.json';
+
+const llmSettings = {
+  type: 'object',
+  properties: {
+    model: { type: 'string', minLength: 1 },
+    temperature: { type: 'number', minimum: 0, maximum: 2 },
+    max_tokens: { type: 'integer', minimum: 1 },
+    fallbacks: { type: 'array', items: { type: 'string', minLength: 1 } }
+  }
+};
+
+const llmSettingsWithPhases = {
+  ...llmSettings,
+  properties: {
+    ...llmSettings.properties,
+    phases: {
+      type: 'object',
+      properties: Object.fromEntries(PHASES.map(phase => [phase, llmSettings])),
+      additionalProperties: false
+    }
+  }
+};
+
+export const LLM_SETTINGS_SCHEMA = llmSettingsWithPhases;
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    characters: { type: 'string', minLength: 1 },
+    context: {
+      type: 'object',
+      properties: {
+        max_tokens: { type: 'integer', minimum: 500 }
+      },
+      additionalProperties: false
+    },
+    files: {
+      type: 'object',
+      properties: {
+        include: { type: 'array', items: { type: 'string', minLength: 1 } },
+        exclude: { type: 'array', items: { type: 'string', minLength: 1 } }
+      },
+      additionalProperties: false
+    },
+    history: {
+      type: 'object',
+      properties: {
+        days: { type: 'integer', minimum: 1 },
+        max_commits: { type: 'integer', minimum: 1 },
+        top: { type: 'integer', minimum: 1 },
+        min_shared_commits: { type: 'integer', minimum: 2 },
+        max_files_per_commit: { type: 'integer', minimum: 2 },
+        ownership_depth: { type: 'integer', minimum: 1 }
+      },
+      additionalProperties: false
+    },
+    deep_dive: {
+      type: 'object',
+      properties: {
+        chunk_chars: { type: 'integer', minimum: 500 },
+        max_chunks: { type: 'integer', minimum: 1 },
+        chunk_concurrency: { type: 'integer', minimum: 1 },
+        concurrency: { type: 'integer', minimum: 1 },
+        directory_tokens: { type: 'integer', minimum: 200 },
+        summary_tokens: { type: 'integer', minimum: 200 }
+      },
+      additionalProperties: false
+    },
+    review: {
+      type: 'object',
+      properties: {
+        max_files: { type: 'integer', minimum: 1 },
+        max_diff_chars: { type: 'integer', minimum: 500 }
+      },
+      additionalProperties: false
+    },
+    evolution: {
+      type: 'object',
+      properties: {
+        confidence_shift: { type: 'number', minimum: 0 },
+        structural_shift: { type: 'number', minimum: 0, maximum: 1 },
+        min_known_entities: { type: 'integer', minimum: 0 },
+        min_runs: { type: 'integer', minimum: 1 },
+        min_transformations: { type: 'integer', minimum: 0 },
+        min_confidence: { type: 'number', minimum: 0, maximum: 100 }
+      },
+      additionalProperties: false
+    },
+    retention: {
+      type: 'object',
+      properties: {
+        insights: { type: 'integer', minimum: 1 },
+        entities_per_type: { type: 'integer', minimum: 1 },
+        graph_edges: { type: 'integer', minimum: 1 },
+        transformations: { type: 'integer', minimum: 1 },
+        learning_history: { type: 'integer', minimum: 1 },
+        snapshots: { type: 'integer', minimum: 1 },
+        max_age_days: { type: ['number', 'null'], minimum: 1 },
+        similarity: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    llm: {
+      ...llmSettingsWithPhases,
+      properties: {
+        ...llmSettingsWithPhases.properties,
+        agents: { type: 'object', additionalProperties: llmSettingsWithPhases }
+      }
+    }
+  }
+};
+
+export function getRepoPath() {
+  return process.env.GITHUB_WORKSPACE || process.cwd();
+}
+
+/**
+ * Read `.clab/config.json` (or `CLAB_CONFIG`) from the analyzed repository.
+ * A missing file is fine and yields an empty config; an invalid one throws.
+ */
+export async function loadConfig(repoPath = getRepoPath(), configPath = process.env.CLAB_CONFIG || DEFAULT_CONFIG_PATH) {
+  const fullPath = isAbsolute(configPath) ? configPath : join(repoPath, configPath);
+  let config = {};
+
+  if (existsSync(fullPath)) {
+    try {
+      config = JSON.parse(await readFile(fullPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read config ${fullPath}: ${error.message}`);
+    }
+
+    const errors = validateSchema(config, CONFIG_SCHEMA);
+    if (errors.length > 0) {
+      throw new Error(`Invalid config ${fullPath}:\n  ${errors.join('\n  ')}`);
+    }
+  }
+
+  config.llm = config.llm || {};
+  if (!config.llm.fallbacks && process.env.LLM_FALLBACK_MODELS) {
+    config.llm.fallbacks = process.env.LLM_FALLBACK_MODELS.split(',').map(m => m.trim()).filter(Boolean);
+  }
+
+  return config;
+}
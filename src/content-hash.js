@@ -0,0 +1,32 @@
+/**
+ * Content Hash
+ * Fingerprints of source files and of directories built from their children,
+ * used to tell whether a cached note still describes what is on disk
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * SHA-256 of a file's bytes or text, as hex.
+ *
+ * @param {Buffer|string} content
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * One hash for a set of named child hashes, independent of their order, so
+ * it changes when any child is added, removed, renamed or changes itself.
+ *
+ * @param {Array<[string, string]>} entries - `[name, hash]` pairs
+ * @returns {string}
+ */
+export function combineHashes(entries) {
+  const hash = createHash('sha256');
+  for (const [name, childHash] of [...entries].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))) {
+    hash.update(`${name}\0${childHash}\n`);
+  }
+  return hash.digest('hex');
+}
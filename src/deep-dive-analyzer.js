@@ -3,51 +3,73 @@
  * Performs recursive analysis at different levels of granularity
  */
 
-import { NotesCache } from './notes-cache.js';
+import { NotesCache, noteAnalysis } from './notes-cache.js';
 import { ModelAdapter } from './model-adapter.js';
-import { CharacterSystem } from './character-system.js';
-import { readFile, readdir, stat } from 'fs/promises';
-import { join } from 'path';
+import { CharacterSystem, buildSystemPrompt } from './character-system.js';
+import { isFatalLLMError } from './llm-errors.js';
+import { CONTENT_ANALYSIS_SCHEMA, DEEP_DIVE_SUMMARY_SCHEMA, REVIEW_SCHEMA } from './output-schemas.js';
+import { resolveModelSettings } from './model-settings.js';
+import { AgentState } from './agent-state.js';
+import { RELATIONSHIP_TYPES } from './knowledge-graph.js';
+import { resolveRetention } from './knowledge-consolidation.js';
+import { RepoContextProvider } from './repo-context.js';
+import { formatHunks, normalizeFindings, resolveReviewSettings } from './pr-review.js';
+import { chunkSource } from './source-chunker.js';
+import { mapSettledWithLimit, runWithDependencies } from './concurrency.js';
+import { digestNote, fitDigests } from './note-rollup.js';
+import { resolveDeepDiveSettings } from './deep-dive-settings.js';
+import { hashContent, combineHashes } from './content-hash.js';
+import { readFile, stat } from 'fs/promises';
+import { join, relative, dirname, posix } from 'path';
+
+// Bump a level's version when its prompt changes, so notes written with
+// the old prompt are rebuilt
+const PROMPT_VERSIONS = { file: 1, directory: 2, module: 1 };
 
 export class DeepDiveAnalyzer {
-  constructor(agentId, modelAdapter, characterSystem) {
+  constructor(agentId, modelAdapter, characterSystem, options = {}) {
     this.agentId = agentId;
     this.modelAdapter = modelAdapter;
     this.characterSystem = characterSystem;
+    this.config = options.config || {};
     this.notesCache = new NotesCache(agentId);
+    // Directory notes written or reused this run, by full path, for their
+    // parents to roll up
+    this.directoryNotes = new Map();
   }
 
   async analyzeFile(filePath, repoContext) {
     console.log(`📄 Analyzing file: ${filePath}`);
-    
-    // Check if we already have notes for this file
-    const existingNote = await this.notesCache.loadNote(filePath, 'file');
-    if (existingNote && this.isNoteRecent(existingNote)) {
-      console.log(`  ✓ Using cached notes for ${filePath}`);
-      return existingNote;
-    }
 
     // Read file content
-    let content = '';
+    let bytes;
     try {
-      content = await readFile(filePath, 'utf8');
+      bytes = await readFile(filePath);
     } catch (error) {
       console.warn(`Could not read file ${filePath}:`, error.message);
       return null;
     }
 
-    // Analyze file content
+    // Reuse the note only if it describes this exact content, from the same
+    // model and prompt; a note missing chunks that failed is analyzed again
     const character = this.characterSystem.getCharacter(this.agentId);
-    const analysis = await this.analyzeContent(content, filePath, character, 'file');
+    const source = this.noteSource('file', hashContent(bytes), character);
+    const existingNote = await this.notesCache.loadNote(filePath, 'file');
+    if (this.notesCache.isNoteCurrent(existingNote, source) && existingNote.content?.coverage?.complete !== false) {
+      return this.reuseNote(filePath, existingNote);
+    }
+
+    // Analyze file content
+    const analysis = await this.analyzeFileContent(bytes.toString('utf8'), filePath, character);
     
     if (analysis) {
-      await this.notesCache.saveNote(filePath, analysis, 'file');
+      await this.notesCache.saveNote(filePath, analysis, 'file', source);
     }
     
     return analysis;
   }
 
-  async analyzeDirectory(dirPath, repoContext, maxDepth = 3) {
+  async analyzeDirectory(dirPath, repoContext) {
     console.log(`📁 Analyzing directory: ${dirPath}`);
     
     // Skip directories with problematic names
@@ -56,28 +78,29 @@ export class DeepDiveAnalyzer {
       return null;
     }
     
-    // Check if we already have notes for this directory
+    // Directories are analyzed after everything below them, from the notes
+    // on their files and subdirectories
+    const character = this.characterSystem.getCharacter(this.agentId);
+    const rollup = await this.getDirectoryRollup(dirPath);
+
+    // Check if we already have notes for this directory, built from the
+    // same children and child notes
+    const source = this.noteSource('directory', combineHashes([
+      ['tree', await this.hashDirectory(relative(this.tree.repoPath, dirPath))],
+      ['notes', hashContent(JSON.stringify(rollup))]
+    ]), character);
     const existingNote = await this.notesCache.loadNote(dirPath, 'directory');
-    if (existingNote && this.isNoteRecent(existingNote)) {
-      console.log(`  ✓ Using cached notes for ${dirPath}`);
-      return existingNote;
+    if (this.notesCache.isNoteCurrent(existingNote, source)) {
+      this.directoryNotes.set(dirPath, existingNote);
+      return this.reuseNote(dirPath, existingNote);
     }
 
-    // Get directory structure and contents
-    const dirInfo = await this.getDirectoryInfo(dirPath, maxDepth);
-    
-    // Skip if directory is too large or complex
-    if (this.shouldSkipLargeDirectory(dirInfo)) {
-      console.log(`  ⏭️ Skipping large directory: ${dirPath}`);
-      return null;
-    }
-    
     // Analyze directory
-    const character = this.characterSystem.getCharacter(this.agentId);
-    const analysis = await this.analyzeContent(dirInfo, dirPath, character, 'directory');
+    const analysis = await this.analyzeDirectoryRollup(rollup, dirPath, character);
     
     if (analysis) {
-      await this.notesCache.saveNote(dirPath, analysis, 'directory');
+      await this.notesCache.saveNote(dirPath, analysis, 'directory', source);
+      this.directoryNotes.set(dirPath, analysis);
     }
     
     return analysis;
@@ -85,23 +108,29 @@ export class DeepDiveAnalyzer {
 
   async analyzeModule(modulePath, repoContext) {
     console.log(`📦 Analyzing module: ${modulePath}`);
-    
-    // Check if we already have notes for this module
-    const existingNote = await this.notesCache.loadNote(modulePath, 'module');
-    if (existingNote && this.isNoteRecent(existingNote)) {
-      console.log(`  ✓ Using cached notes for ${modulePath}`);
-      return existingNote;
-    }
 
     // Get module information
     const moduleInfo = await this.getModuleInfo(modulePath);
+    if (!moduleInfo) return null;
+
+    // Check if we already have notes for this module: a module covers its
+    // manifest and everything in the directory around it
+    const character = this.characterSystem.getCharacter(this.agentId);
+    const moduleDir = relative(this.tree.repoPath, dirname(modulePath));
+    const source = this.noteSource('module', combineHashes([
+      ['manifest', hashContent(moduleInfo.content)],
+      ['directory', await this.hashDirectory(moduleDir)]
+    ]), character);
+    const existingNote = await this.notesCache.loadNote(modulePath, 'module');
+    if (this.notesCache.isNoteCurrent(existingNote, source)) {
+      return this.reuseNote(modulePath, existingNote);
+    }
     
     // Analyze module
-    const character = this.characterSystem.getCharacter(this.agentId);
     const analysis = await this.analyzeContent(moduleInfo, modulePath, character, 'module');
     
     if (analysis) {
-      await this.notesCache.saveNote(modulePath, analysis, 'module');
+      await this.notesCache.saveNote(modulePath, analysis, 'module', source);
     }
     
     return analysis;
@@ -126,107 +155,214 @@ export class DeepDiveAnalyzer {
     };
 
     // Get repository context
-    const repoContext = await this.getRepositoryContext(repoPath);
-    
-    // Analyze at different levels
-    if (includeFiles) {
-      results.files = await this.analyzeFilesRecursive(repoPath, fileExtensions, maxDepth, repoContext);
-    }
-    
-    if (includeDirectories) {
-      results.directories = await this.analyzeDirectoriesRecursive(repoPath, maxDepth, repoContext);
-    }
+    const contextProvider = new RepoContextProvider(repoPath, { config: this.config });
+    const repoContext = await contextProvider.getContext();
+
+    // Every level works from the same file list: git's view of the
+    // repository, filtered by the configured include/exclude globs
+    this.tree = this.buildTree(repoPath, await contextProvider.listFiles());
+
+    // Files, directories and modules are work items for one pool;
+    // directories wait for the files and subdirectories they roll up
+    const tasks = [
+      ...(includeFiles ? this.planFiles(fileExtensions, maxDepth, repoContext) : []),
+      ...(includeDirectories ? this.planDirectories(maxDepth, repoContext) : []),
+      ...(includeModules ? await this.planModules(repoPath, repoContext) : [])
+    ];
     
-    if (includeModules) {
-      results.modules = await this.analyzeModules(repoPath, repoContext);
+    try {
+      await this.runTasks(tasks);
+
+      // Generate summary
+      results.summary = await this.generateDeepDiveSummary(this.collectResults(tasks, results), repoContext);
+    } catch (error) {
+      if (!isFatalLLMError(error)) throw error;
+      // Notes written so far stay cached, so the next run picks up from here
+      console.warn(`⛔ Deep dive stopped early: ${error.message}`);
+      results.aborted = error.message;
     }
 
-    // Generate summary
-    results.summary = await this.generateDeepDiveSummary(results, repoContext);
+    this.collectResults(tasks, results);
+    results.progress = this.progress;
+
+    await this.recordKnowledgeGraph(results, repoPath, repoContext);
     
     return results;
   }
 
-  async analyzeFilesRecursive(dirPath, fileExtensions, maxDepth, repoContext) {
-    if (maxDepth <= 0) return [];
-    
-    const results = [];
-    
+  /**
+   * Review only the files a pull request changes. Each file's diff is read
+   * alongside the agent's cached note for it, which describes the file as it
+   * was before; notes are left untouched, since the change is not merged.
+   *
+   * @param {string} repoPath
+   * @param {object[]} files - Changed files, from getPullRequestChanges
+   * @param {object} repoContext - Shared repository context
+   * @returns {Promise<{ summary: string, files: object[], findings: object[] }>}
+   */
+  async reviewChanges(repoPath, files, repoContext) {
+    const character = this.characterSystem.getCharacter(this.agentId);
+    const { maxDiffChars } = resolveReviewSettings(this.config);
+    const reviewed = [];
+    const findings = [];
+
+    for (const file of files) {
+      // stderr, so the review CLI's JSON on stdout stays parseable
+      console.warn(`🔎 Reviewing ${file.path}`);
+      const note = await this.notesCache.loadNote(join(repoPath, file.path), 'file');
+      const review = await this.reviewFile(file, note, character, repoContext, maxDiffChars);
+      if (!review) continue;
+
+      const fileFindings = normalizeFindings(review.findings, file);
+      reviewed.push({ path: file.path, summary: review.summary, findings: fileFindings.length, model: review.model, cachedNote: Boolean(note) });
+      findings.push(...fileFindings);
+    }
+
+    return {
+      summary: `${findings.length} finding${findings.length === 1 ? '' : 's'} in ${reviewed.length} of ${files.length} changed file${files.length === 1 ? '' : 's'}`,
+      files: reviewed,
+      findings
+    };
+  }
+
+  async reviewFile(file, note, character, repoContext, maxDiffChars) {
+    const known = noteAnalysis(note);
+    const background = known
+      ? `Your notes on this file from before the change:
+Summary: ${known.summary}
+${(known.insights || []).slice(0, 5).map(insight => `- ${insight}`).join('\n')}`
+      : 'You have no earlier notes on this file.';
+
+    const prompt = `Review this change to ${file.path} (${file.status}${file.previousPath && file.previousPath !== file.path ? ` from ${file.previousPath}` : ''}):
+
+${background}
+
+Diff. Each line starts with its line number in the new file (blank for removed lines), then +, - or a space:
+${formatHunks(file, maxDiffChars)}
+
+Repository Context:
+${JSON.stringify(repoContext, null, 2)}
+
+From your ${character.level_name} perspective, report only what matters in this change: bugs, risks, design problems, missing tests or documentation, and changes that contradict what you knew about the file. Tie each finding to a changed line using the new-file line number, with end_line for a range. Return no findings rather than padding the list.
+
+Respond in JSON format:
+{
+  "summary": "One or two sentences on what this change does and how it fits",
+  "findings": [
+    { "line": 42, "end_line": 45, "severity": "high", "title": "Short headline", "body": "What is wrong and what to do instead" }
+  ]
+}`;
+
     try {
-      const entries = await readdir(dirPath);
-      
-      for (const entry of entries) {
-        if (entry.startsWith('.')) continue;
-        
-        const fullPath = join(dirPath, entry);
-        const stats = await stat(fullPath);
-        
-        if (stats.isFile()) {
-          const ext = entry.split('.').pop();
-          if (fileExtensions.includes(`.${ext}`)) {
-            const analysis = await this.analyzeFile(fullPath, repoContext);
-            if (analysis) {
-              results.push({
-                path: fullPath,
-                analysis: analysis
-              });
-            }
-          }
-        } else if (stats.isDirectory()) {
-          const subResults = await this.analyzeFilesRecursive(fullPath, fileExtensions, maxDepth - 1, repoContext);
-          results.push(...subResults);
-        }
-      }
+      const settings = resolveModelSettings(this.config, character, 'review');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'review',
+        system: buildSystemPrompt(character),
+        schema: REVIEW_SCHEMA
+      });
+      return { ...data, model };
     } catch (error) {
-      console.warn(`Could not analyze directory ${dirPath}:`, error.message);
+      if (isFatalLLMError(error)) throw error;
+      console.warn(`Failed to review ${file.path}:`, error.message);
+      return null;
     }
-    
-    return results;
   }
 
-  async analyzeDirectoriesRecursive(dirPath, maxDepth, repoContext) {
-    if (maxDepth <= 0) return [];
-    
-    const results = [];
-    
-    try {
-      const entries = await readdir(dirPath);
-      const subdirs = [];
-      
-      for (const entry of entries) {
-        if (entry.startsWith('.')) continue;
-        
-        const fullPath = join(dirPath, entry);
-        const stats = await stat(fullPath);
-        
-        if (stats.isDirectory()) {
-          subdirs.push(fullPath);
+  /**
+   * Add every note's entities and relationships to the agent's knowledge
+   * graph, with each edge pointing back at the note and path it came from.
+   */
+  async recordKnowledgeGraph(results, repoPath, repoContext) {
+    const agentState = new AgentState(this.agentId, { retention: resolveRetention(this.config) });
+    const levels = { files: 'file', directories: 'directory', modules: 'module' };
+
+    await agentState.update(state => {
+      for (const [group, level] of Object.entries(levels)) {
+        for (const entry of results[group]) {
+          const analysis = noteAnalysis(entry.analysis);
+          state.recordGraph(analysis, {
+            kind: 'note',
+            level,
+            path: relative(repoPath, entry.path) || '.',
+            note: this.notesCache.getNotePath(entry.path, level)
+          });
         }
       }
-      
-      // Analyze current directory
-      const analysis = await this.analyzeDirectory(dirPath, repoContext, maxDepth);
-      if (analysis) {
-        results.push({
-          path: dirPath,
-          analysis: analysis
-        });
-      }
-      
-      // Recursively analyze subdirectories
-      for (const subdir of subdirs) {
-        const subResults = await this.analyzeDirectoriesRecursive(subdir, maxDepth - 1, repoContext);
-        results.push(...subResults);
+    }, { character: this.characterSystem.getCharacter(this.agentId), repoContext });
+  }
+
+  /**
+   * Index discovered files by directory. Paths are repository-relative with
+   * `/` separators; the root directory is `''`.
+   */
+  buildTree(repoPath, files) {
+    const directories = new Map([['', { files: [], directories: new Set() }]]);
+    const ensure = (dir) => {
+      if (!directories.has(dir)) {
+        directories.set(dir, { files: [], directories: new Set() });
+        const parent = posix.dirname(dir) === '.' ? '' : posix.dirname(dir);
+        ensure(parent).directories.add(dir);
       }
-    } catch (error) {
-      console.warn(`Could not analyze directory ${dirPath}:`, error.message);
+      return directories.get(dir);
+    };
+
+    for (const file of files) {
+      const dir = posix.dirname(file) === '.' ? '' : posix.dirname(file);
+      ensure(dir).files.push(file);
     }
-    
-    return results;
+
+    return { repoPath, files, directories };
   }
 
-  async analyzeModules(repoPath, repoContext) {
-    const results = [];
+  // Depth counts directories below the root: files at the root are depth 1
+  depthOf(path) {
+    return path === '' ? 0 : path.split('/').length;
+  }
+
+  planFiles(fileExtensions, maxDepth, repoContext) {
+    const { repoPath, files } = this.tree;
+    
+    return files
+      .filter(file => this.depthOf(file) <= maxDepth && fileExtensions.includes(posix.extname(file)))
+      .map(file => {
+        const fullPath = join(repoPath, file);
+        return {
+          id: `file:${file}`,
+          group: 'files',
+          path: fullPath,
+          run: () => this.analyzeFile(fullPath, repoContext)
+        };
+      });
+  }
+
+  planDirectories(maxDepth, repoContext) {
+    const { repoPath, directories } = this.tree;
+    
+    // Deepest first, so directories whose children are done come up first
+    return [...directories.keys()]
+      .filter(dir => this.depthOf(dir) < maxDepth)
+      .sort((a, b) => this.depthOf(b) - this.depthOf(a) || (a < b ? -1 : 1))
+      .map(dir => {
+        const entry = directories.get(dir);
+        const fullPath = join(repoPath, dir);
+        return {
+          id: `directory:${dir}`,
+          group: 'directories',
+          path: fullPath,
+          // Only children that are work items this run count
+          dependsOn: [
+            ...entry.files.map(file => `file:${file}`),
+            ...[...entry.directories].map(child => `directory:${child}`)
+          ],
+          run: () => this.analyzeDirectory(fullPath, repoContext)
+        };
+      });
+  }
+
+  async planModules(repoPath, repoContext) {
+    const tasks = [];
     
     // Look for package.json, go.mod, Cargo.toml, etc.
     const moduleFiles = [
@@ -245,32 +381,226 @@ export class DeepDiveAnalyzer {
       try {
         const stats = await stat(modulePath);
         if (stats.isFile()) {
-          const analysis = await this.analyzeModule(modulePath, repoContext);
-          if (analysis) {
-            results.push({
-              path: modulePath,
-              analysis: analysis
-            });
-          }
+          tasks.push({
+            id: `module:${moduleFile}`,
+            group: 'modules',
+            path: modulePath,
+            run: () => this.analyzeModule(modulePath, repoContext)
+          });
         }
       } catch (error) {
         // Module file doesn't exist
       }
     }
     
+    return tasks;
+  }
+
+  /**
+   * Run the deep dive's work items with at most `deep_dive.concurrency` LLM
+   * calls' worth of work in flight. A failed item is logged and counted;
+   * a fatal LLM error stops the run once the items in flight settle.
+   */
+  async runTasks(tasks) {
+    const { concurrency } = resolveDeepDiveSettings(this.config);
+    const progress = this.progress = { total: tasks.length, completed: 0, cached: 0, failed: 0 };
+    console.log(`🧵 ${tasks.length} work items, ${concurrency} at a time`);
+
+    await runWithDependencies(tasks, concurrency, async (task) => {
+      task.analysis = await task.run();
+      return task.analysis;
+    }, {
+      stopOn: isFatalLLMError,
+      onSettled: (task, outcome) => {
+        if (outcome.status === 'fulfilled' && outcome.value) {
+          progress.completed++;
+        } else {
+          progress.failed++;
+          if (outcome.status === 'rejected' && !isFatalLLMError(outcome.reason)) {
+            console.warn(`Could not analyze ${task.path}:`, outcome.reason.message);
+          }
+        }
+        console.log(`📊 ${progress.completed + progress.failed}/${progress.total} done: ${progress.completed} completed (${progress.cached} cached), ${progress.failed} failed`);
+      }
+    });
+  }
+
+  // Analyses of finished work items, grouped by level in plan order
+  collectResults(tasks, results) {
+    for (const group of ['files', 'directories', 'modules']) {
+      results[group] = tasks
+        .filter(task => task.group === group && task.analysis)
+        .map(task => ({ path: task.path, analysis: task.analysis }));
+    }
     return results;
   }
 
-  async analyzeContent(content, path, character, level) {
-    // Limit content size to prevent LLM termination
-    const maxContentSize = 2000; // Reduced from 4000
+  /**
+   * Analyze a file whole when it fits in one chunk. Otherwise analyze each
+   * chunk separately (map) and merge the chunk analyses into one note
+   * (reduce). The result's `coverage` lists the chunks the note is built
+   * from, the ones that failed and the ones over `deep_dive.max_chunks`.
+   */
+  async analyzeFileContent(content, filePath, character) {
+    const { chunkChars, maxChunks, chunkConcurrency } = resolveDeepDiveSettings(this.config);
+    const chunks = chunkSource(content, { maxChars: chunkChars });
+    const describe = ({ index, startLine, endLine, label }) => ({ index, startLine, endLine, label });
+
+    if (chunks.length === 1) {
+      const analysis = await this.analyzeContent(content, filePath, character, 'file', chunkChars);
+      if (!analysis) return null;
+      return {
+        ...analysis,
+        coverage: { chunks: 1, lines: chunks[0].endLine, analyzed: [describe(chunks[0])], failed: [], skipped: [], complete: true }
+      };
+    }
+
+    const selected = chunks.slice(0, maxChunks);
+    console.log(`  ✂️ ${chunks.length} chunks${chunks.length > maxChunks ? `, analyzing the first ${maxChunks}` : ''}`);
+    const settled = await mapSettledWithLimit(selected, chunkConcurrency,
+      chunk => this.analyzeChunk(chunk, chunks.length, filePath, character));
+
+    // Only fatal errors reject; the run stops on those
+    const fatal = settled.find(outcome => outcome.status === 'rejected');
+    if (fatal) throw fatal.reason;
+
+    const results = [];
+    const failed = [];
+    settled.forEach((outcome, i) => {
+      if (outcome.value) results.push({ chunk: selected[i], analysis: outcome.value });
+      else failed.push(describe(selected[i]));
+    });
+
+    const coverage = {
+      chunks: chunks.length,
+      lines: chunks[chunks.length - 1].endLine,
+      analyzed: results.map(({ chunk }) => describe(chunk)),
+      failed,
+      skipped: chunks.slice(maxChunks).map(describe),
+      // Failed chunks are retried on the next run; skipped ones stay skipped
+      complete: failed.length === 0
+    };
+    if (failed.length > 0) {
+      console.warn(`  ⚠️ ${failed.length} of ${selected.length} chunks of ${filePath} failed`);
+    }
+    if (results.length === 0) return null;
+
+    const merged = await this.reduceChunks(results, coverage, filePath, character);
+    return { ...merged, coverage };
+  }
+
+  async analyzeChunk(chunk, total, filePath, character) {
+    const prompt = `Analyze part ${chunk.index + 1} of ${total} of this file:
+
+Path: ${filePath}
+Lines ${chunk.startLine}-${chunk.endLine}${chunk.part ? `, piece ${chunk.part.index} of ${chunk.part.count} of these over-long lines` : ''}:
+${chunk.text}
+
+This is only part of the file; describe what this part does and how it seems to fit the rest. From your ${character.level_name} perspective, provide:
+1. A summary of this part
+2. Key insights specific to your domain
+3. Entities for your knowledge base
+4. Patterns or structures you notice
+5. Relationships between entities (types: ${Object.keys(RELATIONSHIP_TYPES).join(', ')})
+
+Respond in JSON format:
+{
+  "summary": "Brief overview of this part",
+  "insights": ["insight 1", "insight 2"],
+  "entities": {
+    "components": ["component1"],
+    "patterns": ["pattern1"],
+    "concepts": ["concept1"]
+  },
+  "patterns": ["pattern observed"],
+  "relationships": [
+    { "from": "component1", "type": "depends-on", "to": "component2" }
+  ],
+  "confidence": 75
+}`;
+
+    try {
+      const settings = resolveModelSettings(this.config, character, 'deep_dive');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'deep_dive',
+        system: buildSystemPrompt(character),
+        schema: CONTENT_ANALYSIS_SCHEMA
+      });
+      return { ...data, model };
+    } catch (error) {
+      if (isFatalLLMError(error)) throw error;
+      console.warn(`Failed to analyze lines ${chunk.startLine}-${chunk.endLine} of ${filePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Merge chunk analyses into one file analysis. Falls back to a plain union
+   * of the chunk results when the model call fails.
+   */
+  async reduceChunks(results, coverage, filePath, character) {
+    const parts = results.map(({ chunk, analysis }) => ({
+      lines: `${chunk.startLine}-${chunk.endLine}`,
+      summary: analysis.summary,
+      insights: (analysis.insights || []).slice(0, 5),
+      entities: analysis.entities || {},
+      patterns: analysis.patterns || [],
+      relationships: analysis.relationships || []
+    }));
+
+    const prompt = `You analyzed this file in ${coverage.chunks} parts. Combine the part analyses into one analysis of the whole file:
+
+Path: ${filePath}
+Lines: ${coverage.lines}
+${coverage.failed.length + coverage.skipped.length > 0 ? `Parts not covered: lines ${[...coverage.failed, ...coverage.skipped].map(chunk => `${chunk.startLine}-${chunk.endLine}`).join(', ')}\n` : ''}
+Part analyses:
+${JSON.stringify(parts, null, 2)}
+
+From your ${character.level_name} perspective, describe the file as a whole rather than part by part: merge duplicate entities, keep the most important insights, and keep relationships that cross parts.
+
+Respond in JSON format:
+{
+  "summary": "Brief overview of this file",
+  "insights": ["insight 1", "insight 2", "insight 3"],
+  "entities": {
+    "components": ["component1", "component2"],
+    "patterns": ["pattern1"],
+    "concepts": ["concept1"]
+  },
+  "patterns": ["pattern observed"],
+  "relationships": [
+    { "from": "component1", "type": "depends-on", "to": "component2" }
+  ],
+  "confidence": 75
+}`;
+
+    try {
+      const settings = resolveModelSettings(this.config, character, 'deep_dive');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'deep_dive',
+        system: buildSystemPrompt(character),
+        schema: CONTENT_ANALYSIS_SCHEMA
+      });
+      return { ...data, model };
+    } catch (error) {
+      if (isFatalLLMError(error)) throw error;
+      console.warn(`Failed to combine chunk analyses of ${filePath}, merging them as is:`, error.message);
+      return mergeChunkAnalyses(results.map(({ analysis }) => analysis));
+    }
+  }
+
+  async analyzeContent(content, path, character, level, maxContentSize = 2000) {
+    // Limit content size to prevent LLM termination; files are chunked to
+    // fit before they get here
     const contentStr = typeof content === 'string' 
       ? content.substring(0, maxContentSize) 
       : JSON.stringify(content, null, 2).substring(0, maxContentSize);
     
-    const prompt = `You are ${character.name} (Level ${character.level} - ${character.level_name}).
-
-Analyze this ${level}:
+    const prompt = `Analyze this ${level}:
 
 Path: ${path}
 Content:
@@ -281,6 +611,7 @@ From your ${character.level_name} perspective, provide:
 2. Key insights specific to your domain
 3. Entities for your knowledge base
 4. Patterns or structures you notice
+5. Relationships between entities (types: ${Object.keys(RELATIONSHIP_TYPES).join(', ')})
 
 Respond in JSON format:
 {
@@ -292,77 +623,121 @@ Respond in JSON format:
     "concepts": ["concept1"]
   },
   "patterns": ["pattern observed"],
-  "relationships": ["relationship to other parts"],
+  "relationships": [
+    { "from": "component1", "type": "depends-on", "to": "component2" }
+  ],
   "confidence": 75
 }`;
 
     try {
-      const response = await this.modelAdapter.callWithJSON(this.modelAdapter.defaultModel, prompt);
-      return response;
+      const settings = resolveModelSettings(this.config, character, 'deep_dive');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'deep_dive',
+        system: buildSystemPrompt(character),
+        schema: CONTENT_ANALYSIS_SCHEMA
+      });
+      return { ...data, model };
     } catch (error) {
+      if (isFatalLLMError(error)) throw error;
+      // Nothing is saved, so the next run tries again rather than reusing a
+      // failure that matches the file's hash
       console.warn(`Failed to analyze ${level} ${path}:`, error.message);
-      
-      // Check if it's a termination error
-      if (error.message.includes('terminated') || error.message.includes('timeout')) {
-        console.warn(`  LLM terminated for ${path}, skipping analysis`);
-        return null;
-      }
-      
-      // Check if it's a JSON parsing error
-      if (error.message.includes('No valid JSON found') || error.message.includes('JSON')) {
-        console.warn(`  Invalid JSON response for ${path}, skipping analysis`);
-        return null;
-      }
-      
-      return {
-        summary: `Analysis failed for ${path}`,
-        insights: ['Analysis unavailable'],
-        entities: {},
-        patterns: [],
-        relationships: [],
-        confidence: 0
-      };
+      return null;
     }
   }
 
-  async getDirectoryInfo(dirPath, maxDepth) {
-    const info = {
-      path: dirPath,
-      files: [],
-      directories: [],
-      totalFiles: 0,
-      totalDirectories: 0
+  /**
+   * What a directory's note is built from: a digest of each subdirectory's
+   * note from this run and each file's note, if it is current, fitted to
+   * `deep_dive.directory_tokens`. Subdirectories come first, then files
+   * with notes, largest first, then the rest by name only.
+   */
+  async getDirectoryRollup(dirPath) {
+    const { repoPath, directories } = this.tree;
+    const { directoryTokens } = resolveDeepDiveSettings(this.config);
+    const character = this.characterSystem.getCharacter(this.agentId);
+    const entry = directories.get(relative(repoPath, dirPath)) || { files: [], directories: new Set() };
+
+    const subdirectories = [...entry.directories]
+      .map(dir => ({ dir, files: this.countFiles(dir) }))
+      .sort((a, b) => b.files - a.files)
+      .map(({ dir, files }) => digestNote(`${posix.basename(dir)}/`, this.directoryNotes.get(join(repoPath, dir)), { files }));
+
+    const files = [];
+    for (const file of entry.files) {
+      const fullPath = join(repoPath, file);
+      let size = null;
+      try {
+        size = (await stat(fullPath)).size;
+      } catch (error) {
+        console.warn(`Could not stat ${fullPath}:`, error.message);
+      }
+      const note = await this.notesCache.loadNote(fullPath, 'file');
+      const current = this.notesCache.isNoteCurrent(note, this.noteSource('file', await this.hashFile(file), character));
+      files.push(digestNote(posix.basename(file), current ? note : null, { size }));
+    }
+    files.sort((a, b) => Boolean(b.summary) - Boolean(a.summary) || (b.summary ? (b.size || 0) - (a.size || 0) : (a.name < b.name ? -1 : 1)));
+
+    const { entries, omitted } = fitDigests([...subdirectories, ...files], directoryTokens);
+    return {
+      path: relative(repoPath, dirPath) || '.',
+      totalFiles: entry.files.length,
+      totalDirectories: entry.directories.size,
+      children: entries,
+      omitted
     };
-    
+  }
+
+  // Files anywhere below a directory
+  countFiles(dir) {
+    const entry = this.tree.directories.get(dir);
+    if (!entry) return 0;
+    return [...entry.directories].reduce((sum, child) => sum + this.countFiles(child), entry.files.length);
+  }
+
+  async analyzeDirectoryRollup(rollup, dirPath, character) {
+    const prompt = `Analyze this directory from your notes on what it contains:
+
+Path: ${dirPath}
+Files: ${rollup.totalFiles}, subdirectories: ${rollup.totalDirectories}
+Notes on its subdirectories (names ending in /) and files; a null summary means there is no note${rollup.omitted > 0 ? `, and ${rollup.omitted} more entries did not fit` : ''}:
+${JSON.stringify(rollup.children, null, 2)}
+
+From your ${character.level_name} perspective, describe the directory as a whole: what it is responsible for, how its parts divide the work and depend on each other, and what stands out across them. Build on the notes rather than repeating them one by one.
+
+Respond in JSON format:
+{
+  "summary": "What this directory is for and how it is organized",
+  "insights": ["insight 1", "insight 2", "insight 3"],
+  "entities": {
+    "components": ["component1", "component2"],
+    "patterns": ["pattern1"],
+    "concepts": ["concept1"]
+  },
+  "patterns": ["pattern observed"],
+  "relationships": [
+    { "from": "component1", "type": "contains", "to": "component2" }
+  ],
+  "confidence": 75
+}`;
+
     try {
-      const entries = await readdir(dirPath);
-      
-      for (const entry of entries) {
-        if (entry.startsWith('.')) continue;
-        
-        const fullPath = join(dirPath, entry);
-        const stats = await stat(fullPath);
-        
-        if (stats.isFile()) {
-          info.files.push({
-            name: entry,
-            path: fullPath,
-            size: stats.size
-          });
-          info.totalFiles++;
-        } else if (stats.isDirectory()) {
-          info.directories.push({
-            name: entry,
-            path: fullPath
-          });
-          info.totalDirectories++;
-        }
-      }
+      const settings = resolveModelSettings(this.config, character, 'deep_dive');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'deep_dive',
+        system: buildSystemPrompt(character),
+        schema: CONTENT_ANALYSIS_SCHEMA
+      });
+      return { ...data, model };
     } catch (error) {
-      console.warn(`Could not get directory info for ${dirPath}:`, error.message);
+      if (isFatalLLMError(error)) throw error;
+      console.warn(`Failed to analyze directory ${dirPath}:`, error.message);
+      return null;
     }
-    
-    return info;
   }
 
   async getModuleInfo(modulePath) {
@@ -380,31 +755,49 @@ Respond in JSON format:
     }
   }
 
-  async getRepositoryContext(repoPath) {
-    // This would be similar to the existing getRepositoryContext function
-    // but focused on the specific repository path
-    return {
-      path: repoPath,
-      timestamp: Date.now()
-    };
+  /**
+   * The repository-level view the final summary is built from: the root
+   * directory's note, the module notes and the top-level directories'
+   * notes, largest directories first, fitted to `deep_dive.summary_tokens`.
+   * Without directory notes, the file notes stand in for them.
+   */
+  getSummaryRollup(results) {
+    const { repoPath } = this.tree;
+    const { summaryTokens } = resolveDeepDiveSettings(this.config);
+    const name = (path) => relative(repoPath, path) || '.';
+
+    const directories = results.directories
+      .map(entry => ({ entry, dir: relative(repoPath, entry.path) }))
+      .filter(({ dir }) => this.depthOf(dir) <= 1)
+      .map(({ entry, dir }) => ({ entry, dir, files: this.countFiles(dir) }))
+      .sort((a, b) => (a.dir === '' ? -1 : b.dir === '' ? 1 : b.files - a.files))
+      .map(({ entry, dir, files }) => digestNote(dir ? `${dir}/` : './', entry.analysis, { level: 'directory', files }));
+    const modules = results.modules
+      .map(entry => digestNote(name(entry.path), entry.analysis, { level: 'module' }));
+    const files = directories.length > 0 ? [] : results.files
+      .map(entry => digestNote(name(entry.path), entry.analysis, { level: 'file' }));
+
+    return fitDigests([...directories.slice(0, 1), ...modules, ...directories.slice(1), ...files], summaryTokens);
   }
 
   async generateDeepDiveSummary(results, repoContext) {
     const character = this.characterSystem.getCharacter(this.agentId);
+    const { entries, omitted } = this.getSummaryRollup(results);
     
-    const prompt = `You are ${character.name} (Level ${character.level} - ${character.level_name}).
-
-Based on your deep dive analysis, provide a comprehensive summary:
+    const prompt = `Based on your deep dive analysis, provide a comprehensive summary:
 
 Files Analyzed: ${results.files.length}
 Directories Analyzed: ${results.directories.length}
 Modules Analyzed: ${results.modules.length}
 
+Your notes on the top-level parts of the repository, each built from the notes on everything below it${omitted > 0 ? ` (${omitted} more did not fit)` : ''}:
+${JSON.stringify(entries, null, 2)}
+
 Repository Context:
 ${JSON.stringify(repoContext, null, 2)}
 
 From your ${character.level_name} perspective, synthesize:
-1. Overall architecture understanding
+1. Overall architecture understanding: how the parts above fit together
 2. Key patterns across all levels
 3. Most important insights
 4. Recommendations for improvement
@@ -420,9 +813,17 @@ Respond in JSON format:
 }`;
 
     try {
-      const response = await this.modelAdapter.callWithJSON(this.modelAdapter.defaultModel, prompt);
-      return response;
+      const settings = resolveModelSettings(this.config, character, 'deep_dive');
+      const { data, model } = await this.modelAdapter.callStructured(settings.model, prompt, {
+        ...settings,
+        agent: this.agentId,
+        phase: 'deep_dive',
+        system: buildSystemPrompt(character),
+        schema: DEEP_DIVE_SUMMARY_SCHEMA
+      });
+      return { ...data, model };
     } catch (error) {
+      if (isFatalLLMError(error)) throw error;
       console.warn('Failed to generate deep dive summary:', error.message);
       return {
         summary: 'Deep dive analysis completed',
@@ -435,25 +836,63 @@ Respond in JSON format:
     }
   }
 
-  isNoteRecent(note, maxAge = 24 * 60 * 60 * 1000) { // 24 hours
-    const age = Date.now() - note.timestamp;
-    return age < maxAge;
+  reuseNote(path, note) {
+    console.log(`  ✓ Using cached notes for ${path}`);
+    if (this.progress) this.progress.cached++;
+    return note;
+  }
+
+  /**
+   * What a note at `level` is built from, as NotesCache stores it: the
+   * content hash, the model the agent is configured to use for the deep dive
+   * and the version of that level's prompt.
+   */
+  noteSource(level, hash, character) {
+    const { model } = resolveModelSettings(this.config, character, 'deep_dive');
+    return {
+      hash,
+      model: model || this.modelAdapter.defaultModel || null,
+      promptVersion: PROMPT_VERSIONS[level]
+    };
+  }
+
+  // Hash of a file's bytes, read once per run
+  hashFile(file) {
+    if (!this.fileHashes) this.fileHashes = new Map();
+    if (!this.fileHashes.has(file)) {
+      this.fileHashes.set(file, readFile(join(this.tree.repoPath, file))
+        .then(hashContent, () => 'unreadable'));
+    }
+    return this.fileHashes.get(file);
+  }
+
+  /**
+   * Hash of a directory from the hashes of its files and subdirectories, so
+   * a change anywhere below it changes the directory's hash and those of
+   * all its parents.
+   */
+  async hashDirectory(dir) {
+    if (!this.directoryHashes) this.directoryHashes = new Map();
+    if (!this.directoryHashes.has(dir)) {
+      const entry = this.tree.directories.get(dir) || { files: [], directories: new Set() };
+      const entries = [];
+      for (const file of entry.files) {
+        entries.push([posix.basename(file), await this.hashFile(file)]);
+      }
+      for (const child of entry.directories) {
+        entries.push([`${posix.basename(child)}/`, await this.hashDirectory(child)]);
+      }
+      this.directoryHashes.set(dir, combineHashes(entries));
+    }
+    return this.directoryHashes.get(dir);
   }
 
   shouldSkipDirectory(dirPath) {
-    // Skip directories with spaces, special characters, or very long names
+    // Skip directories with spaces, special characters, or very long names;
+    // ignored and excluded directories never reach this point
     const problematicPatterns = [
       /\s/,  // Contains spaces
-      /[^\w\-_\/\.]/,  // Contains special characters
-      /node_modules/,
-      /\.git/,
-      /\.vscode/,
-      /\.idea/,
-      /dist/,
-      /build/,
-      /target/,
-      /bin/,
-      /obj/
+      /[^\w\-_\/\.]/  // Contains special characters
     ];
     
     const dirName = dirPath.split('/').pop();
@@ -463,22 +902,30 @@ Respond in JSON format:
       return true;
     }
     
-    // Skip if matches problematic patterns
-    return problematicPatterns.some(pattern => pattern.test(dirPath));
+    // Skip if matches problematic patterns; only the part inside the
+    // repository counts, not wherever it was checked out
+    const repoRelative = this.tree ? relative(this.tree.repoPath, dirPath) : dirPath;
+    return problematicPatterns.some(pattern => pattern.test(repoRelative));
   }
+}
 
-  shouldSkipLargeDirectory(dirInfo) {
-    // Skip directories with too many files or subdirectories
-    if (dirInfo.totalFiles > 100 || dirInfo.totalDirectories > 50) {
-      return true;
-    }
-    
-    // Skip if directory info is too large
-    const dirInfoSize = JSON.stringify(dirInfo).length;
-    if (dirInfoSize > 10000) { // 10KB limit
-      return true;
+// Union of chunk analyses, for when the model cannot combine them
+function mergeChunkAnalyses(analyses) {
+  const unique = (values) => [...new Set(values.filter(Boolean))];
+  const entities = {};
+  for (const analysis of analyses) {
+    for (const [type, values] of Object.entries(analysis.entities || {})) {
+      entities[type] = unique([...(entities[type] || []), ...values]);
     }
-    
-    return false;
   }
+
+  return {
+    summary: analyses.map(analysis => analysis.summary).join(' '),
+    insights: unique(analyses.flatMap(analysis => analysis.insights || [])),
+    entities,
+    patterns: unique(analyses.flatMap(analysis => analysis.patterns || [])),
+    relationships: analyses.flatMap(analysis => analysis.relationships || []),
+    confidence: Math.round(analyses.reduce((sum, analysis) => sum + (analysis.confidence ?? 0), 0) / analyses.length),
+    model: analyses[0].model
+  };
 }
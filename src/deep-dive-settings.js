@@ -0,0 +1,35 @@
+/**
+ * Deep Dive Settings
+ * Resolves the `deep_dive` block of the repository config
+ */
+
+/**
+ * Defaults for every `deep_dive` setting; the config uses the same names in
+ * snake_case.
+ */
+export const DEEP_DIVE_DEFAULTS = {
+  // Files, directories and modules analyzed at once
+  concurrency: 4,
+  // Largest chunk sent in one prompt; smaller files are analyzed whole
+  chunkChars: 6000,
+  // Chunks analyzed per file; the rest are recorded as skipped
+  maxChunks: 12,
+  // Chunk analyses of one file in flight at once
+  chunkConcurrency: 2,
+  // Budget for the child notes in one directory prompt
+  directoryTokens: 2000,
+  // Budget for the directory and module notes in the final summary prompt
+  summaryTokens: 4000
+};
+
+export function resolveDeepDiveSettings(config = {}) {
+  const overrides = config.deep_dive || {};
+  return {
+    concurrency: overrides.concurrency ?? DEEP_DIVE_DEFAULTS.concurrency,
+    chunkChars: overrides.chunk_chars ?? DEEP_DIVE_DEFAULTS.chunkChars,
+    maxChunks: overrides.max_chunks ?? DEEP_DIVE_DEFAULTS.maxChunks,
+    chunkConcurrency: overrides.chunk_concurrency ?? DEEP_DIVE_DEFAULTS.chunkConcurrency,
+    directoryTokens: overrides.directory_tokens ?? DEEP_DIVE_DEFAULTS.directoryTokens,
+    summaryTokens: overrides.summary_tokens ?? DEEP_DIVE_DEFAULTS.summaryTokens
+  };
+}
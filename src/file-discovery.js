@@ -0,0 +1,163 @@
+/**
+ * File Discovery
+ * Lists the analyzed repository's files the way git sees them, filtered by
+ * the `files.include` / `files.exclude` globs of the repository config
+ */
+
+import { readdir, readFile } from 'fs/promises';
+import { statSync } from 'fs';
+import { join } from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Never analyzed, even when tracked: dependencies, virtualenvs and the
+ * action's own memory, notes and recorded LLM responses.
+ */
+export const DEFAULT_EXCLUDES = [
+  '.git/',
+  'node_modules/',
+  '__pycache__/',
+  'venv/',
+  '.venv/',
+  '.agent-states/',
+  '.agent-notes/',
+  '.llm-cache/',
+  '.consciousness-lab/',
+  '.vscode/',
+  '.idea/'
+];
+
+/**
+ * Compile a gitignore-style glob. `*` and `?` stay within a path segment and
+ * `**` spans directories; a pattern containing `/` is anchored at the
+ * repository root, one without matches at any depth, and a trailing `/`
+ * matches a directory and everything inside it.
+ */
+export function globToRegExp(pattern) {
+  let glob = pattern.trim();
+  const directory = glob.endsWith('/');
+  if (directory) glob = glob.slice(0, -1);
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` is zero or more directories; a trailing `**` is everything below
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // A match on a directory covers every path inside it
+  return new RegExp(`${anchored ? '^' : '^(?:.*/)?'}${source}${directory ? '/' : '(?:/|$)'}`);
+}
+
+/**
+ * Build the filter for `config.files`. User excludes add to DEFAULT_EXCLUDES;
+ * with any includes, only files matching one of them are kept.
+ *
+ * @returns {{ include: RegExp[], exclude: RegExp[] }}
+ */
+export function resolveFileFilters(config = {}) {
+  const files = config.files || {};
+  return {
+    include: (files.include || []).map(globToRegExp),
+    exclude: [...DEFAULT_EXCLUDES, ...(files.exclude || [])].map(globToRegExp)
+  };
+}
+
+/**
+ * @param {string} path - Repository-relative path with `/` separators
+ */
+export function isIncluded(path, filters) {
+  if (filters.exclude.some(pattern => pattern.test(path))) return false;
+  return filters.include.length === 0 || filters.include.some(pattern => pattern.test(path));
+}
+
+// Tracked files plus untracked ones git does not ignore; deleted files and
+// submodule directories are still in the index, so keep regular files only
+async function listGitFiles(repoPath) {
+  const { stdout } = await execFileAsync(
+    'git',
+    ['ls-files', '-z', '--cached', '--others', '--exclude-standard'],
+    { cwd: repoPath, maxBuffer: 64 * 1024 * 1024 }
+  );
+
+  const files = new Set(stdout.split('\0').filter(Boolean));
+  return [...files].filter(file => statSync(join(repoPath, file), { throwIfNoEntry: false })?.isFile());
+}
+
+// Outside a git checkout, walk the tree and honour the root .gitignore
+async function walkFiles(repoPath, filters) {
+  let ignored = [];
+  try {
+    ignored = (await readFile(join(repoPath, '.gitignore'), 'utf8'))
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+      .map(globToRegExp);
+  } catch (error) {
+    // No .gitignore
+  }
+
+  const files = [];
+  const walk = async (relativeDir) => {
+    let entries;
+    try {
+      entries = await readdir(join(repoPath, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      return; // Unreadable directory
+    }
+
+    for (const entry of entries) {
+      const path = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        // Prune excluded directories instead of listing everything inside them
+        const dir = `${path}/`;
+        if (!ignored.some(pattern => pattern.test(dir)) && !filters.exclude.some(pattern => pattern.test(dir))) {
+          await walk(path);
+        }
+      } else if (entry.isFile() && !ignored.some(pattern => pattern.test(path))) {
+        files.push(path);
+      }
+    }
+  };
+
+  await walk('');
+  return files;
+}
+
+/**
+ * Repository-relative paths (with `/` separators, sorted) of every file the
+ * analysis should see.
+ *
+ * @param {string} repoPath
+ * @param {{ include: RegExp[], exclude: RegExp[] }} [filters] - From resolveFileFilters
+ * @returns {Promise<string[]>}
+ */
+export async function listRepoFiles(repoPath, filters = resolveFileFilters()) {
+  let files;
+  try {
+    files = await listGitFiles(repoPath);
+  } catch (error) {
+    files = await walkFiles(repoPath, filters);
+  }
+
+  return files.filter(file => isIncluded(file, filters)).sort();
+}
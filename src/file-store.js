@@ -0,0 +1,177 @@
+/**
+ * File Store
+ * Atomic JSON writes, advisory directory locks and quarantine of corrupt files
+ */
+
+import { open, rename, link, unlink, mkdir, readFile, stat } from 'fs/promises';
+import { dirname, join, basename } from 'path';
+import { hostname } from 'os';
+import { randomBytes } from 'crypto';
+
+export const LOCK_FILE = '.lock';
+
+const LOCK_DEFAULTS = {
+  // How long to wait for another writer before giving up
+  timeoutMs: 30000,
+  retryDelayMs: 100,
+  // A lock this old belongs to a writer that died without cleaning up
+  staleMs: 120000
+};
+
+/**
+ * Write a file so readers only ever see the old or the new content: the data
+ * goes to a temp file in the same directory, is flushed, then renamed over
+ * the target.
+ */
+export async function writeFileAtomic(filePath, data) {
+  await mkdir(dirname(filePath), { recursive: true });
+
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`);
+  let handle = null;
+  try {
+    handle = await open(tempPath, 'w');
+    await handle.writeFile(data, 'utf8');
+    await handle.sync();
+    await handle.close();
+    handle = null;
+    await rename(tempPath, filePath);
+  } catch (error) {
+    await handle?.close().catch(() => {});
+    await unlink(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+export async function writeJSONAtomic(filePath, value) {
+  await writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+async function isStaleLock(lockPath, staleMs) {
+  try {
+    const info = await stat(lockPath);
+    if (Date.now() - info.mtimeMs > staleMs) return true;
+
+    const owner = JSON.parse(await readFile(lockPath, 'utf8'));
+    return owner.host === hostname() && !isProcessAlive(owner.pid);
+  } catch (error) {
+    // Gone already: retry straight away. Still being written: not stale yet
+    return error.code === 'ENOENT';
+  }
+}
+
+/**
+ * Remove a stale lock without racing other waiters. The lock is renamed
+ * aside first, so only one waiter takes it; if what was taken turns out to
+ * be a live lock that another waiter created since the staleness check, it
+ * is linked back into place, which fails rather than replace a newer one.
+ */
+async function breakStaleLock(lockPath, staleMs) {
+  const stalePath = `${lockPath}.stale-${process.pid}-${randomBytes(4).toString('hex')}`;
+  try {
+    await rename(lockPath, stalePath);
+  } catch (error) {
+    // Another waiter broke it first
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  if (await isStaleLock(stalePath, staleMs)) {
+    console.warn(`🔓 Breaking stale lock ${lockPath}`);
+  } else {
+    await link(stalePath, lockPath).catch(() => {});
+  }
+  await unlink(stalePath).catch(() => {});
+}
+
+/**
+ * Run `fn` while holding an advisory lock on a directory. The lock is a
+ * `.lock` file created exclusively; locks left by dead processes or older
+ * than `staleMs` are broken.
+ *
+ * @param {string} dir
+ * @param {() => Promise<T>} fn
+ * @param {object} [options] - timeoutMs, retryDelayMs, staleMs
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withDirectoryLock(dir, fn, options = {}) {
+  const { timeoutMs, retryDelayMs, staleMs } = { ...LOCK_DEFAULTS, ...options };
+  const lockPath = join(dir, LOCK_FILE);
+  const deadline = Date.now() + timeoutMs;
+
+  await mkdir(dir, { recursive: true });
+
+  let handle = null;
+  while (!handle) {
+    try {
+      handle = await open(lockPath, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      if (await isStaleLock(lockPath, staleMs)) {
+        await breakStaleLock(lockPath, staleMs);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${timeoutMs}ms waiting for lock ${lockPath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+    }
+  }
+
+  try {
+    await handle.writeFile(JSON.stringify({ pid: process.pid, host: hostname(), createdAt: Date.now() }), 'utf8');
+    await handle.close();
+    return await fn();
+  } finally {
+    await unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Move an unreadable file aside as `<name>.corrupt-<timestamp>` so it can be
+ * inspected or restored, instead of being overwritten by a fresh start.
+ *
+ * @returns {Promise<string|null>} Where the file was moved, or null if it could not be
+ */
+export async function quarantineFile(filePath, reason) {
+  const backupPath = `${filePath}.corrupt-${Date.now()}`;
+  try {
+    await rename(filePath, backupPath);
+    console.warn(`⚠️ Quarantined corrupt file ${filePath} (${reason}); backup at ${backupPath}`);
+    return backupPath;
+  } catch (error) {
+    console.warn(`⚠️ Could not quarantine corrupt file ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Read and parse a JSON file. Missing files yield `undefined`; files that
+ * cannot be parsed are quarantined and also yield `undefined`.
+ */
+export async function readJSONOrQuarantine(filePath) {
+  let data;
+  try {
+    data = await readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return undefined;
+    throw error;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    await quarantineFile(filePath, error.message);
+    return undefined;
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * Git History
+ * Churn, change coupling, hotspots and ownership over a window of commits,
+ * so analyses and recommendations can focus on the code that actually moves
+ */
+
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { GitHubIntegration } from './github-integration.js';
+import { detectLanguage, isGeneratedPath, countLines } from './language-stats.js';
+
+/**
+ * Defaults for the `history` block of the repository config (snake_case keys
+ * there).
+ */
+export const HISTORY_DEFAULTS = {
+  days: 90,
+  maxCommits: 500,
+  // Entries kept per list in the context
+  top: 10,
+  // Commits two files must share before they count as coupled
+  minSharedCommits: 3,
+  // Commits touching more files than this are bulk edits (formatting,
+  // renames, dependency bumps) and say nothing about coupling
+  maxFilesPerCommit: 30,
+  // Directory depth ownership is rolled up to
+  ownershipDepth: 2
+};
+
+export function resolveHistorySettings(config = {}) {
+  const overrides = config.history || {};
+  return {
+    ...HISTORY_DEFAULTS,
+    days: overrides.days ?? HISTORY_DEFAULTS.days,
+    maxCommits: overrides.max_commits ?? HISTORY_DEFAULTS.maxCommits,
+    top: overrides.top ?? HISTORY_DEFAULTS.top,
+    minSharedCommits: overrides.min_shared_commits ?? HISTORY_DEFAULTS.minSharedCommits,
+    maxFilesPerCommit: overrides.max_files_per_commit ?? HISTORY_DEFAULTS.maxFilesPerCommit,
+    ownershipDepth: overrides.ownership_depth ?? HISTORY_DEFAULTS.ownershipDepth
+  };
+}
+
+function directoryOf(path, depth) {
+  const parts = path.split('/').slice(0, -1);
+  return parts.length === 0 ? '.' : parts.slice(0, depth).join('/');
+}
+
+/**
+ * Compute history insights from parsed commits.
+ *
+ * @param {object[]} commits - From GitHubIntegration.getFileChanges
+ * @param {object} [options]
+ * @param {Set<string>} [options.files] - Current files; churn on deleted or
+ *   excluded files is left out
+ * @param {Map<string, number>} [options.lineCounts] - Code lines per file, for hotspots
+ * @param {object} [options.settings] - From resolveHistorySettings
+ */
+export function analyzeHistory(commits, options = {}) {
+  const { files = null, lineCounts = new Map(), settings = HISTORY_DEFAULTS } = options;
+  const tracked = (path) => (!files || files.has(path)) && !isGeneratedPath(path);
+
+  const churn = new Map();
+  const pairs = new Map();
+  const ownership = new Map();
+
+  for (const commit of commits) {
+    const changed = commit.files.filter(file => tracked(file.path));
+
+    for (const file of changed) {
+      if (!churn.has(file.path)) {
+        churn.set(file.path, { path: file.path, commits: 0, added: 0, deleted: 0, authors: new Set() });
+      }
+      const entry = churn.get(file.path);
+      entry.commits++;
+      entry.added += file.added;
+      entry.deleted += file.deleted;
+      entry.authors.add(commit.email);
+    }
+
+    if (changed.length > 1 && changed.length <= settings.maxFilesPerCommit) {
+      const paths = changed.map(file => file.path).sort();
+      for (let i = 0; i < paths.length; i++) {
+        for (let j = i + 1; j < paths.length; j++) {
+          const key = `${paths[i]}\n${paths[j]}`;
+          pairs.set(key, (pairs.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    // One commit counts once per directory it touches
+    for (const directory of new Set(changed.map(file => directoryOf(file.path, settings.ownershipDepth)))) {
+      if (!ownership.has(directory)) {
+        ownership.set(directory, { commits: 0, authors: new Map() });
+      }
+      const entry = ownership.get(directory);
+      entry.commits++;
+      const author = entry.authors.get(commit.email) || { name: commit.author, commits: 0 };
+      author.commits++;
+      entry.authors.set(commit.email, author);
+    }
+  }
+
+  const churned = [...churn.values()]
+    .sort((a, b) => b.commits - a.commits || (b.added + b.deleted) - (a.added + a.deleted) || a.path.localeCompare(b.path))
+    .map(entry => ({ ...entry, authors: entry.authors.size }));
+
+  // Change frequency times size: big files that keep changing are where
+  // defects and slow reviews concentrate
+  const hotspots = churned
+    .filter(entry => lineCounts.get(entry.path))
+    .map(entry => ({ path: entry.path, commits: entry.commits, lines: lineCounts.get(entry.path), score: entry.commits * lineCounts.get(entry.path) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, settings.top);
+
+  // Degree: shared commits relative to the average change count of the pair
+  const coupling = [...pairs]
+    .filter(([, together]) => together >= settings.minSharedCommits)
+    .map(([key, together]) => {
+      const [a, b] = key.split('\n');
+      const average = (churn.get(a).commits + churn.get(b).commits) / 2;
+      return { files: [a, b], together, degree: Math.round((together / average) * 100) };
+    })
+    .sort((a, b) => b.degree - a.degree || b.together - a.together)
+    .slice(0, settings.top);
+
+  const owners = [...ownership]
+    .map(([directory, entry]) => {
+      const ranked = [...entry.authors.values()].sort((a, b) => b.commits - a.commits);
+      return {
+        directory,
+        commits: entry.commits,
+        authors: ranked.length,
+        topAuthor: ranked[0].name,
+        topShare: Math.round((ranked[0].commits / entry.commits) * 100)
+      };
+    })
+    .sort((a, b) => b.commits - a.commits)
+    .slice(0, settings.top);
+
+  return {
+    commits: commits.length,
+    authors: new Set(commits.map(commit => commit.email)).size,
+    churn: churned.slice(0, settings.top),
+    hotspots,
+    coupling,
+    ownership: owners
+  };
+}
+
+/**
+ * Read the repository's history and analyze it. Returns null outside a git
+ * repository.
+ *
+ * @param {string} repoPath
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Discovered files, see listRepoFiles
+ * @param {object} [options.config] - Repository config, for `history`
+ */
+export async function collectHistory(repoPath, options = {}) {
+  const settings = resolveHistorySettings(options.config);
+  const github = new GitHubIntegration(repoPath);
+
+  let commits;
+  try {
+    commits = await github.getFileChanges({ days: settings.days, maxCommits: settings.maxCommits });
+  } catch (error) {
+    console.warn('⚠️ Could not read git history:', error.message);
+    return null;
+  }
+
+  const files = options.files ? new Set(options.files) : null;
+
+  // Sizes only matter for the files that changed most, so count just those
+  const candidates = analyzeHistory(commits, { files, settings: { ...settings, top: settings.top * 5 } }).churn;
+  const lineCounts = new Map();
+  for (const { path } of candidates) {
+    try {
+      const text = await readFile(join(repoPath, path), 'utf8');
+      lineCounts.set(path, countLines(text, detectLanguage(path)).code);
+    } catch (error) {
+      // Deleted since; no size, no hotspot
+    }
+  }
+
+  return {
+    window: {
+      days: settings.days,
+      since: new Date(Date.now() - settings.days * 86400000).toISOString().slice(0, 10),
+      // A shallow clone only has the commits it fetched
+      shallow: await github.isShallow()
+    },
+    ...analyzeHistory(commits, { files, lineCounts, settings })
+  };
+}
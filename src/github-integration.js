@@ -1,11 +1,18 @@
 /**
  * GitHub Integration
- * Handles git operations and repository context gathering
+ * Handles git operations on the analyzed repository
  */
 
 import { simpleGit } from 'simple-git';
-import { readFile, readdir, stat } from 'fs/promises';
-import { join } from 'path';
+import { readdir, stat, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, relative, basename, sep } from 'path';
+
+// Levels NotesCache writes notes for, as `<level>-<agent>.json`
+const NOTE_LEVELS = ['file', 'directory', 'module', 'package'];
+const PUBLISH_ATTEMPTS = 3;
+// Paths per git invocation, well under argument length limits
+const BATCH_SIZE = 200;
 
 export class GitHubIntegration {
   constructor(repoPath = '.') {
@@ -13,139 +20,265 @@ export class GitHubIntegration {
     this.git = simpleGit(repoPath);
   }
 
-  async initializeAgentBranches() {
-    const agents = ['architect', 'educator', 'visionary', 'philosopher'];
-    const currentBranch = await this.git.revparse(['--abbrev-ref', 'HEAD']);
-
+  /**
+   * Create a local `agent/<id>` branch at HEAD for each agent that has none,
+   * without checking it out.
+   */
+  async initializeAgentBranches(agents) {
     for (const agent of agents) {
       const branchName = `agent/${agent}`;
       
       try {
-        // Check if branch exists
-        const branches = await this.git.branch();
-        
-        if (!branches.all.includes(branchName)) {
-          // Create new branch from current branch
-          await this.git.checkoutBranch(branchName, currentBranch);
-          console.log(`Created branch: ${branchName}`);
-        } else {
+        if (await this.resolveCommit(`refs/heads/${branchName}`)) {
           console.log(`Branch already exists: ${branchName}`);
+        } else {
+          await this.git.raw(['branch', branchName, 'HEAD']);
+          console.log(`Created branch: ${branchName}`);
         }
       } catch (error) {
         console.warn(`Could not create branch ${branchName}:`, error.message);
       }
     }
-
-    // Return to original branch
-    await this.git.checkout(currentBranch);
   }
 
-  async getRepoContext() {
-    const context = {
-      files: [],
-      structure: {},
-      packageInfo: null,
-      languages: new Set(),
-      stats: {
-        totalFiles: 0,
-        totalLines: 0
+  /**
+   * Non-merge commits in a time window with the files each one touched,
+   * newest first. Paths are relative to `repoPath`, and only changes under
+   * it are included.
+   *
+   * @param {object} [options]
+   * @param {number} [options.days] - How far back to look
+   * @param {number} [options.maxCommits] - Stop after this many commits
+   * @returns {Promise<Array<{ hash: string, author: string, email: string, timestamp: number,
+   *   files: Array<{ path: string, added: number, deleted: number }> }>>}
+   */
+  async getFileChanges({ days = 90, maxCommits = 500 } = {}) {
+    const log = await this.git.raw([
+      'log',
+      '--no-merges',
+      '--no-renames',
+      '--relative',
+      `--since=${days} days ago`,
+      `--max-count=${maxCommits}`,
+      '--numstat',
+      '--format=%x1e%H%x1f%an%x1f%ae%x1f%at'
+    ]);
+
+    const commits = [];
+    for (const record of log.split('\x1e').filter(chunk => chunk.trim())) {
+      const [header, ...lines] = record.split('\n');
+      const [hash, author, email, timestamp] = header.split('\x1f');
+      const files = [];
+      for (const line of lines) {
+        const [added, deleted, path] = line.split('\t');
+        if (!path) continue;
+        // Binary files report '-' for both counts
+        files.push({ path, added: parseInt(added, 10) || 0, deleted: parseInt(deleted, 10) || 0 });
       }
-    };
+      commits.push({ hash, author, email: email.toLowerCase(), timestamp: parseInt(timestamp, 10) * 1000, files });
+    }
+    return commits;
+  }
 
-    // Try to read package.json
+  /**
+   * Unified diff of HEAD against where it branched off `baseRef`, limited to
+   * `repoPath`. Falls back to a direct diff against `baseRef` when the merge
+   * base is missing, as in shallow pull request checkouts, where HEAD is the
+   * merge commit and the direct diff is the pull request's change.
+   */
+  async getDiff(baseRef, { context = 3 } = {}) {
+    let base = baseRef;
     try {
-      const packageJson = JSON.parse(await readFile(join(this.repoPath, 'package.json'), 'utf8'));
-      context.packageInfo = {
-        name: packageJson.name,
-        description: packageJson.description,
-        version: packageJson.version,
-        dependencies: packageJson.dependencies || {}
-      };
-    } catch (e) {
-      // No package.json, that's ok
+      base = (await this.git.raw(['merge-base', baseRef, 'HEAD'])).trim();
+    } catch (error) {
+      console.warn(`⚠️ No merge base with ${baseRef}, diffing against it directly`);
     }
 
-    // Get file structure
-    const files = await this.getFilesRecursively(this.repoPath, [
-      '.git', 
-      'node_modules', 
-      '.agent-states',
-      'dist', 
-      'build',
-      'target',
-      'bin',
-      'obj',
-      '__pycache__',
-      'venv',
-      '.venv'
+    return this.git.raw([
+      '-c', 'core.quotePath=false',
+      'diff',
+      '--no-color',
+      '--no-ext-diff',
+      '--find-renames',
+      '--relative',
+      `--unified=${context}`,
+      base,
+      'HEAD'
     ]);
+  }
 
-    context.files = files.slice(0, 100); // Limit to 100 files
-    context.stats.totalFiles = files.length;
+  /**
+   * Path of `repoPath` inside the repository, with a trailing `/`; empty at
+   * the root. Pull request comments need root-relative paths.
+   */
+  async getPathPrefix() {
+    try {
+      return (await this.git.revparse(['--show-prefix'])).trim();
+    } catch (error) {
+      return '';
+    }
+  }
 
-    // Detect languages
-    for (const file of files) {
-      const ext = file.split('.').pop();
-      if (ext) {
-        context.languages.add(ext);
+  async isShallow() {
+    try {
+      return (await this.git.revparse(['--is-shallow-repository'])).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Commit an agent's state, output, snapshots and notes onto
+   * `agent/<id>` and push it, without touching the checkout: the commit is
+   * built in a temporary index on top of the branch's tip and only the
+   * branch ref moves. The push is a fast-forward; when someone else moved
+   * the remote branch first, the commit is rebuilt on their tip and retried.
+   *
+   * @param {string} agentId
+   * @param {object} [options]
+   * @param {string} [options.message] - Commit message
+   * @param {string} [options.remote] - Remote to fetch from and push to
+   * @param {boolean} [options.push] - False to only update the local branch
+   * @returns {Promise<{ branch: string, commit: string, changed: boolean, pushed: boolean }>}
+   */
+  async publishAgentBranch(agentId, { message = `🤖 ${agentId}: Analysis update`, remote = 'origin', push = true } = {}) {
+    const branch = `agent/${agentId}`;
+    const root = (await this.git.revparse(['--show-toplevel'])).trim();
+    const files = await this.listAgentFiles(agentId, root);
+
+    for (let attempt = 1; attempt <= PUBLISH_ATTEMPTS; attempt++) {
+      // The remote branch is the history to build on; a branch that only
+      // exists locally (from `agents init`) or not at all starts from HEAD
+      const remoteTip = push ? await this.fetchBranch(remote, branch) : null;
+      const parent = remoteTip
+        || await this.resolveCommit(`refs/heads/${branch}`)
+        || await this.resolveCommit('HEAD');
+
+      const commit = await this.commitAgentFiles(root, parent, agentId, files, message);
+      await this.git.raw(['update-ref', `refs/heads/${branch}`, commit || parent]);
+
+      if (!commit) {
+        console.log(`No changes for ${branch}`);
+        return { branch, commit: parent, changed: false, pushed: false };
+      }
+      if (!push) {
+        return { branch, commit, changed: true, pushed: false };
+      }
+
+      try {
+        await this.git.raw(['push', '--quiet', remote, `${commit}:refs/heads/${branch}`]);
+        console.log(`Pushed ${branch} (${commit.substring(0, 7)})`);
+        return { branch, commit, changed: true, pushed: true };
+      } catch (error) {
+        if (!/non-fast-forward|fetch first|rejected/i.test(error.message) || attempt === PUBLISH_ATTEMPTS) {
+          throw error;
+        }
+        console.warn(`⚠️ ${branch} moved on ${remote}, rebuilding on its new tip (attempt ${attempt + 1}/${PUBLISH_ATTEMPTS})`);
       }
     }
+  }
 
-    context.languages = Array.from(context.languages);
+  /**
+   * The agent's files, relative to the repository root with `/`
+   * separators. Only this agent's files are included; other agents' notes
+   * share `.agent-notes/` but belong on their own branches.
+   */
+  async listAgentFiles(agentId, root) {
+    const noteName = new RegExp(`^(${NOTE_LEVELS.join('|')})-${agentId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.json$`);
+    const statesDir = join(this.repoPath, '.agent-states');
+    const files = [
+      join(statesDir, `${agentId}.json`),
+      join(statesDir, `${agentId}.output.json`),
+      ...(await listFilesUnder(join(statesDir, 'snapshots', agentId))).filter(file => file.endsWith('.json')),
+      ...(await listFilesUnder(join(this.repoPath, '.agent-notes'))).filter(file => noteName.test(basename(file)))
+    ];
 
-    return context;
+    const present = [];
+    for (const file of files) {
+      try {
+        if ((await stat(file)).isFile()) present.push(relative(root, file).split(sep).join('/'));
+      } catch (error) {
+        // Not written this run
+      }
+    }
+    return present;
   }
 
-  async getFilesRecursively(dir, ignoreDirs = []) {
-    const files = [];
-    
+  /**
+   * Write a commit whose tree is `parent`'s with the agent's files replaced
+   * by the ones on disk. Returns null when nothing changed.
+   */
+  async commitAgentFiles(root, parent, agentId, files, message) {
+    const indexFile = join(tmpdir(), `clab-index-${process.pid}-${agentId}`);
+    const git = simpleGit(root).env({ ...process.env, GIT_INDEX_FILE: indexFile });
+
     try {
-      const entries = await readdir(dir);
-      
-      for (const entry of entries) {
-        if (entry.startsWith('.') && entry !== '.github') continue;
-        
-        const fullPath = join(dir, entry);
-        const relativePath = fullPath.replace(this.repoPath + '/', '');
-        
-        // Check if should ignore
-        if (ignoreDirs.some(ignore => relativePath.includes(ignore))) {
-          continue;
-        }
-        
-        const stats = await stat(fullPath);
-        
-        if (stats.isDirectory()) {
-          files.push(...(await this.getFilesRecursively(fullPath, ignoreDirs)));
-        } else {
-          files.push(relativePath);
-        }
+      await git.raw(['read-tree', parent]);
+
+      // Drop what the branch had for this agent, so pruned snapshots and
+      // notes for deleted files disappear with it
+      const prefix = relative(root, this.repoPath).split(sep).join('/');
+      const scope = (path) => (prefix ? `${prefix}/${path}` : path);
+      const tracked = (await git.raw([
+        'ls-files', '-z', '--',
+        scope(`.agent-states/${agentId}.json`),
+        scope(`.agent-states/${agentId}.output.json`),
+        scope(`.agent-states/snapshots/${agentId}`),
+        ...NOTE_LEVELS.map(level => `:(glob)${scope(`.agent-notes/**/${level}-${agentId}.json`)}`)
+      ])).split('\0').filter(Boolean);
+      for (let i = 0; i < tracked.length; i += BATCH_SIZE) {
+        await git.raw(['update-index', '--force-remove', '--', ...tracked.slice(i, i + BATCH_SIZE)]);
+      }
+
+      for (let i = 0; i < files.length; i += BATCH_SIZE) {
+        const batch = files.slice(i, i + BATCH_SIZE);
+        const hashes = (await git.raw(['hash-object', '-w', '--', ...batch])).trim().split('\n');
+        await git.raw(['update-index', '--add', ...batch.flatMap((file, j) => ['--cacheinfo', `100644,${hashes[j]},${file}`])]);
       }
+
+      const tree = (await git.raw(['write-tree'])).trim();
+      if (tree === (await git.raw(['rev-parse', `${parent}^{tree}`])).trim()) return null;
+      return (await git.raw(['commit-tree', tree, '-p', parent, '-m', message])).trim();
+    } finally {
+      await rm(indexFile, { force: true });
+    }
+  }
+
+  async fetchBranch(remote, branch) {
+    const args = ['fetch', '--quiet', '--no-tags'];
+    // Don't pull the branch's whole history into a shallow checkout
+    if (await this.isShallow()) args.push('--depth=1');
+    try {
+      await this.git.raw([...args, remote, `+refs/heads/${branch}:refs/remotes/${remote}/${branch}`]);
     } catch (error) {
-      // Ignore permission errors
+      // Not on the remote yet
+      return null;
     }
-    
-    return files;
+    return this.resolveCommit(`refs/remotes/${remote}/${branch}`);
   }
 
-  async commitAndPush(branch, message, files = []) {
+  async resolveCommit(ref) {
     try {
-      await this.git.checkout(branch);
-      
-      if (files.length > 0) {
-        await this.git.add(files);
-      } else {
-        await this.git.add('.');
-      }
-      
-      await this.git.commit(message);
-      await this.git.push('origin', branch);
-      
-      return true;
+      return (await this.git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim() || null;
     } catch (error) {
-      console.error(`Failed to commit/push to ${branch}:`, error.message);
-      return false;
+      return null;
     }
   }
 }
 
+async function listFilesUnder(dir) {
+  let entries;
+  try {
+    entries = await readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await listFilesUnder(path));
+    else if (entry.isFile()) files.push(path);
+  }
+  return files;
+}
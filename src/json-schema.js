@@ -0,0 +1,164 @@
+/**
+ * JSON Schema
+ * JSON extraction from model replies and validation against a JSON Schema subset
+ */
+
+/**
+ * Find the first complete JSON object or array in free-form model output.
+ * Scans with awareness of strings and escapes, so braces inside string
+ * values do not end the match early. Returns undefined when nothing parses.
+ */
+export function extractJSON(text) {
+  if (typeof text !== 'string') return undefined;
+
+  // Prefer the contents of a fenced ```json block when the model used one
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+  const candidates = fenced ? [fenced[1], text] : [text];
+
+  for (const candidate of candidates) {
+    for (let start = 0; start < candidate.length; start++) {
+      const char = candidate[start];
+      if (char !== '{' && char !== '[') continue;
+
+      const end = findClosingIndex(candidate, start);
+      if (end === -1) continue;
+
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (e) {
+        // Not valid JSON from this opening bracket; try the next one
+      }
+    }
+  }
+
+  return undefined;
+}
+
+function findClosingIndex(text, start) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema. Supports the keywords our output and
+ * config schemas use: type, enum, required, properties, additionalProperties,
+ * items, anyOf, minItems, maxItems, minLength, pattern, minimum and maximum.
+ *
+ * @returns {string[]} Human-readable errors, each prefixed with a JSON path
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (!schema) return [];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => validateSchema(value, option, path).length === 0);
+    if (!matched) {
+      errors.push(`${path}: does not match any allowed shape`);
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: must match ${schema.pattern}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(propertyValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(propertyValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
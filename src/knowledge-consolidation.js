@@ -0,0 +1,194 @@
+/**
+ * Knowledge Consolidation
+ * Merges duplicate entities and near-identical insights in agent state and
+ * applies the retention policy, so state stays bounded across runs
+ */
+
+/**
+ * Defaults for the `retention` block of the repository config (snake_case
+ * keys there). Counts are per agent; `maxAgeDays: null` keeps items forever.
+ */
+export const RETENTION_DEFAULTS = {
+  insights: 200,
+  entitiesPerType: 500,
+  graphEdges: 2000,
+  transformations: 100,
+  learningHistory: 50,
+  // Per-commit snapshots kept for run-to-run diffs
+  snapshots: 20,
+  maxAgeDays: null,
+  // Word-set Jaccard similarity at which two insights are the same finding
+  similarity: 0.6
+};
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'is', 'are',
+  'be', 'it', 'its', 'this', 'that', 'as', 'at', 'from', 'into', 'uses', 'use', 'using'
+]);
+
+export function resolveRetention(config = {}) {
+  const overrides = config.retention || {};
+  return {
+    insights: overrides.insights ?? RETENTION_DEFAULTS.insights,
+    entitiesPerType: overrides.entities_per_type ?? RETENTION_DEFAULTS.entitiesPerType,
+    graphEdges: overrides.graph_edges ?? RETENTION_DEFAULTS.graphEdges,
+    transformations: overrides.transformations ?? RETENTION_DEFAULTS.transformations,
+    learningHistory: overrides.learning_history ?? RETENTION_DEFAULTS.learningHistory,
+    snapshots: overrides.snapshots ?? RETENTION_DEFAULTS.snapshots,
+    maxAgeDays: overrides.max_age_days ?? RETENTION_DEFAULTS.maxAgeDays,
+    similarity: overrides.similarity ?? RETENTION_DEFAULTS.similarity
+  };
+}
+
+/**
+ * Canonical form used to decide whether two names are the same entity:
+ * `AgentState`, `agent-state` and `Agent state` all become `agent state`.
+ */
+export function normalizeKey(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokens(text) {
+  return new Set(normalizeKey(text).split(' ').filter(word => word && !STOPWORDS.has(word)));
+}
+
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Jaccard similarity of two texts' significant words
+export function textSimilarity(a, b) {
+  return jaccardSimilarity(tokens(a), tokens(b));
+}
+
+// Entries from before consolidation, or appended since the last save, are
+// bare strings or { text, timestamp }; both count as one observation
+function asObservation(entry, field, now) {
+  if (typeof entry === 'string') {
+    return { [field]: entry, count: 1, firstSeen: now, lastSeen: now };
+  }
+
+  const seen = entry.timestamp || now;
+  return {
+    ...entry,
+    count: entry.count || 1,
+    firstSeen: entry.firstSeen || seen,
+    lastSeen: entry.lastSeen || seen
+  };
+}
+
+function mergeInto(target, entry) {
+  target.count += entry.count;
+  target.firstSeen = Math.min(target.firstSeen, entry.firstSeen);
+  target.lastSeen = Math.max(target.lastSeen, entry.lastSeen);
+}
+
+/**
+ * Keep at most `limit` items, dropping the least recently seen first and
+ * anything older than the age cutoff; survivors keep their original order.
+ */
+function retain(items, limit, cutoff) {
+  let kept = cutoff ? items.filter(item => item.lastSeen >= cutoff) : items;
+  if (limit !== null && kept.length > limit) {
+    const newest = new Set(
+      [...kept].sort((a, b) => b.lastSeen - a.lastSeen || b.count - a.count).slice(0, limit)
+    );
+    kept = kept.filter(item => newest.has(item));
+  }
+  return kept;
+}
+
+export function consolidateEntities(entities, retention, now = Date.now()) {
+  const cutoff = retention.maxAgeDays ? now - retention.maxAgeDays * 86400000 : null;
+  const consolidated = {};
+
+  for (const [type, values] of Object.entries(entities)) {
+    const byKey = new Map();
+    for (const value of values) {
+      const entry = asObservation(value, 'name', now);
+      const key = normalizeKey(entry.name);
+      if (!key) continue;
+
+      if (byKey.has(key)) {
+        mergeInto(byKey.get(key), entry);
+      } else {
+        byKey.set(key, { name: entry.name, count: entry.count, firstSeen: entry.firstSeen, lastSeen: entry.lastSeen });
+      }
+    }
+    consolidated[type] = retain([...byKey.values()], retention.entitiesPerType, cutoff);
+  }
+
+  return consolidated;
+}
+
+/**
+ * Cluster insights greedily in chronological order: each one joins the first
+ * earlier cluster it is similar enough to, otherwise it starts a new one. The
+ * most recent wording becomes the cluster's text.
+ */
+export function consolidateInsights(insights, retention, now = Date.now()) {
+  const cutoff = retention.maxAgeDays ? now - retention.maxAgeDays * 86400000 : null;
+  const clusters = [];
+
+  for (const insight of insights) {
+    const entry = asObservation(insight, 'text', now);
+    const words = tokens(entry.text);
+    if (words.size === 0) continue;
+
+    const cluster = clusters.find(c => jaccardSimilarity(c.words, words) >= retention.similarity);
+    if (cluster) {
+      if (entry.lastSeen >= cluster.item.lastSeen) {
+        cluster.item.text = entry.text;
+      }
+      mergeInto(cluster.item, entry);
+    } else {
+      clusters.push({
+        words,
+        item: { text: entry.text, timestamp: entry.firstSeen, count: entry.count, firstSeen: entry.firstSeen, lastSeen: entry.lastSeen }
+      });
+    }
+  }
+
+  return retain(clusters.map(c => c.item), retention.insights, cutoff);
+}
+
+/**
+ * Consolidate a full agent state in place.
+ */
+export function consolidateState(state, retention = RETENTION_DEFAULTS, now = Date.now()) {
+  state.knowledge.entities = consolidateEntities(state.knowledge.entities, retention, now);
+  state.understanding.insights = consolidateInsights(state.understanding.insights, retention, now);
+
+  // Graph edges follow the same policy; nodes go once no edge or entity needs them
+  const graph = state.knowledge.graph;
+  if (graph) {
+    const cutoff = retention.maxAgeDays ? now - retention.maxAgeDays * 86400000 : null;
+    graph.edges = retain(graph.edges, retention.graphEdges, cutoff);
+
+    const used = new Set(graph.edges.flatMap(edge => [edge.from, edge.to]));
+    for (const values of Object.values(state.knowledge.entities)) {
+      values.forEach(value => used.add(normalizeKey(value.name)));
+    }
+    graph.nodes = graph.nodes.filter(node => used.has(node.id));
+  }
+
+  const { evolution } = state;
+  if (evolution.transformations.length > retention.transformations) {
+    evolution.transformations = evolution.transformations.slice(-retention.transformations);
+  }
+  if (evolution.learningHistory.length > retention.learningHistory) {
+    evolution.learningHistory = evolution.learningHistory.slice(-retention.learningHistory);
+  }
+
+  return state;
+}
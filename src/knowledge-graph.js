@@ -0,0 +1,241 @@
+/**
+ * Knowledge Graph
+ * Components, patterns and concepts connected by typed, sourced relationships
+ */
+
+import { normalizeKey } from './knowledge-consolidation.js';
+
+/**
+ * Edge types and the phrasings that map loose relationship strings such as
+ * "ModelAdapter depends on RetryPolicy" onto them.
+ */
+export const RELATIONSHIP_TYPES = {
+  'depends-on': ['depends on', 'depends-on', 'requires', 'imports'],
+  'implements': ['implements'],
+  'uses': ['uses'],
+  'extends': ['extends', 'inherits from'],
+  'contains': ['contains'],
+  'documents': ['documents', 'describes'],
+  'tests': ['tests'],
+  'configures': ['configures'],
+  'related-to': ['related to', 'relates to', '->', '→']
+};
+
+// Entity lists in analyses become nodes of these types
+const ENTITY_NODE_TYPES = {
+  components: 'component',
+  patterns: 'pattern',
+  concepts: 'concept'
+};
+
+// Most recent provenance entries kept per edge
+const MAX_EDGE_SOURCES = 10;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const PHRASES = Object.entries(RELATIONSHIP_TYPES)
+  .flatMap(([type, phrases]) => phrases.map(phrase => ({ type, phrase })))
+  .sort((a, b) => b.phrase.length - a.phrase.length);
+
+const LOOSE_RELATIONSHIP = new RegExp(
+  `^\\s*(.+?)\\s+(${PHRASES.map(p => escapeRegExp(p.phrase)).join('|')})\\s+(.+?)\\s*\\.?$`,
+  'i'
+);
+
+/**
+ * Read a relationship from model output. Accepts `{ from, type, to, source? }`
+ * objects and strings like "A depends on B" or "A -> B".
+ *
+ * @returns {{ from: string, type: string, to: string, source?: string } | null}
+ */
+export function parseRelationship(relationship) {
+  if (relationship && typeof relationship === 'object') {
+    const { from, to } = relationship;
+    if (typeof from !== 'string' || typeof to !== 'string' || !from.trim() || !to.trim()) return null;
+
+    const type = normalizeRelationshipType(relationship.type);
+    return { from: from.trim(), type, to: to.trim(), source: relationship.source };
+  }
+
+  if (typeof relationship !== 'string') return null;
+
+  const match = relationship.match(LOOSE_RELATIONSHIP);
+  if (!match) return null;
+
+  const phrase = PHRASES.find(p => p.phrase.toLowerCase() === match[2].toLowerCase());
+  return { from: match[1], type: phrase.type, to: match[3] };
+}
+
+export function normalizeRelationshipType(type) {
+  if (typeof type !== 'string') return 'related-to';
+
+  const normalized = type.trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (RELATIONSHIP_TYPES[normalized]) return normalized;
+
+  const phrase = PHRASES.find(p => p.phrase.toLowerCase() === type.trim().toLowerCase());
+  return phrase ? phrase.type : 'related-to';
+}
+
+export class KnowledgeGraph {
+  constructor(data = {}) {
+    this.nodes = new Map((data.nodes || []).map(node => [node.id, { ...node }]));
+    this.edges = new Map((data.edges || []).map(edge => [this.edgeKey(edge), { ...edge, sources: [...(edge.sources || [])] }]));
+  }
+
+  static fromJSON(data) {
+    return new KnowledgeGraph(data);
+  }
+
+  toJSON() {
+    return {
+      nodes: [...this.nodes.values()],
+      edges: [...this.edges.values()]
+    };
+  }
+
+  edgeKey(edge) {
+    return `${edge.from}|${edge.type}|${edge.to}`;
+  }
+
+  /**
+   * Add a node, or refine the type of one first seen only as an edge endpoint.
+   * @returns {string} Node id
+   */
+  addNode(name, type = 'entity') {
+    const id = normalizeKey(name);
+    if (!id) return null;
+
+    const existing = this.nodes.get(id);
+    if (!existing) {
+      this.nodes.set(id, { id, name, type });
+    } else if (existing.type === 'entity' && type !== 'entity') {
+      existing.type = type;
+    }
+    return id;
+  }
+
+  /**
+   * @param {{ from: string, type: string, to: string }} relationship
+   * @param {{ kind: string, path?: string, note?: string, level?: string }} [source] - Where the edge came from
+   */
+  addEdge(relationship, source = { kind: 'analysis' }, now = Date.now()) {
+    const from = this.addNode(relationship.from);
+    const to = this.addNode(relationship.to);
+    if (!from || !to || from === to) return null;
+
+    const type = normalizeRelationshipType(relationship.type);
+    const key = this.edgeKey({ from, type, to });
+    let edge = this.edges.get(key);
+    if (!edge) {
+      edge = { from, type, to, count: 0, firstSeen: now, lastSeen: now, sources: [] };
+      this.edges.set(key, edge);
+    }
+
+    edge.count++;
+    edge.lastSeen = now;
+
+    const provenance = { ...source, timestamp: now };
+    edge.sources = edge.sources
+      .filter(s => s.kind !== provenance.kind || s.path !== provenance.path || s.note !== provenance.note)
+      .concat(provenance)
+      .slice(-MAX_EDGE_SOURCES);
+
+    return edge;
+  }
+
+  addEntities(entities = {}) {
+    for (const [group, type] of Object.entries(ENTITY_NODE_TYPES)) {
+      for (const name of entities[group] || []) {
+        if (typeof name === 'string') {
+          this.addNode(name, type);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add every parseable relationship; ones naming their own `source` file
+   * are attributed to it, the rest to `source`.
+   *
+   * @returns {number} How many edges were added or reinforced
+   */
+  addRelationships(relationships = [], source = { kind: 'analysis' }, now = Date.now()) {
+    let added = 0;
+    for (const raw of relationships) {
+      const relationship = parseRelationship(raw);
+      if (!relationship) continue;
+
+      const edgeSource = relationship.source ? { kind: 'file', path: relationship.source } : source;
+      if (this.addEdge(relationship, edgeSource, now)) added++;
+    }
+    return added;
+  }
+
+  findNode(name) {
+    return this.nodes.get(normalizeKey(name)) || null;
+  }
+
+  /**
+   * Edges touching a node, e.g. `query('ModelAdapter', { relation: 'depends-on', direction: 'in' })`
+   * for "what depends on ModelAdapter".
+   *
+   * @param {string} name
+   * @param {object} [options]
+   * @param {string} [options.relation] - Only this edge type
+   * @param {'in'|'out'|'both'} [options.direction='both'] - Edges into or out of the node
+   * @param {string} [options.nodeType] - Only edges whose other end has this node type
+   * @returns {Array<{ direction: string, type: string, node: object, count: number, sources: object[] }>}
+   */
+  query(name, options = {}) {
+    const { relation = null, direction = 'both', nodeType = null } = options;
+    const node = this.findNode(name);
+    if (!node) return [];
+
+    const relationType = relation ? normalizeRelationshipType(relation) : null;
+    const matches = [];
+
+    for (const edge of this.edges.values()) {
+      if (relationType && edge.type !== relationType) continue;
+
+      let otherId = null;
+      let edgeDirection = null;
+      if (edge.from === node.id && direction !== 'in') {
+        otherId = edge.to;
+        edgeDirection = 'out';
+      } else if (edge.to === node.id && direction !== 'out') {
+        otherId = edge.from;
+        edgeDirection = 'in';
+      }
+      if (!otherId) continue;
+
+      const other = this.nodes.get(otherId);
+      if (nodeType && other.type !== nodeType) continue;
+
+      matches.push({
+        direction: edgeDirection,
+        type: edge.type,
+        node: other,
+        count: edge.count,
+        sources: edge.sources
+      });
+    }
+
+    return matches.sort((a, b) => b.count - a.count || a.node.name.localeCompare(b.node.name));
+  }
+
+  getStats() {
+    const nodesByType = {};
+    for (const node of this.nodes.values()) {
+      nodesByType[node.type] = (nodesByType[node.type] || 0) + 1;
+    }
+
+    const edgesByType = {};
+    for (const edge of this.edges.values()) {
+      edgesByType[edge.type] = (edgesByType[edge.type] || 0) + 1;
+    }
+
+    return { nodes: this.nodes.size, edges: this.edges.size, nodesByType, edgesByType };
+  }
+}
@@ -0,0 +1,247 @@
+/**
+ * Language Statistics
+ * Maps files to languages and counts their code, comment and blank lines,
+ * skipping binary, vendored and generated files
+ */
+
+import { open, readFile } from 'fs/promises';
+import { join, posix } from 'path';
+
+const C_STYLE = { line: ['//'], block: [['/*', '*/']] };
+const HASH = { line: ['#'] };
+const NONE = {};
+
+/**
+ * Known languages. `type` follows the usual split: programming languages,
+ * markup, data/config formats and prose. Files are matched by exact name
+ * first, then by extension.
+ */
+export const LANGUAGES = [
+  { name: 'JavaScript', type: 'programming', extensions: ['js', 'mjs', 'cjs', 'jsx'], comments: C_STYLE },
+  { name: 'TypeScript', type: 'programming', extensions: ['ts', 'mts', 'cts', 'tsx'], comments: C_STYLE },
+  { name: 'Python', type: 'programming', extensions: ['py', 'pyi', 'pyw'], comments: { line: ['#'], block: [['"""', '"""'], ["'''", "'''"]] } },
+  { name: 'Go', type: 'programming', extensions: ['go'], comments: C_STYLE },
+  { name: 'Rust', type: 'programming', extensions: ['rs'], comments: C_STYLE },
+  { name: 'Java', type: 'programming', extensions: ['java'], comments: C_STYLE },
+  { name: 'Kotlin', type: 'programming', extensions: ['kt', 'kts'], comments: C_STYLE },
+  { name: 'Scala', type: 'programming', extensions: ['scala', 'sc'], comments: C_STYLE },
+  { name: 'Groovy', type: 'programming', extensions: ['groovy', 'gradle'], comments: C_STYLE },
+  { name: 'C', type: 'programming', extensions: ['c', 'h'], comments: C_STYLE },
+  { name: 'C++', type: 'programming', extensions: ['cpp', 'cc', 'cxx', 'hpp', 'hh', 'hxx'], comments: C_STYLE },
+  { name: 'C#', type: 'programming', extensions: ['cs'], comments: C_STYLE },
+  { name: 'F#', type: 'programming', extensions: ['fs', 'fsi', 'fsx'], comments: { line: ['//'], block: [['(*', '*)']] } },
+  { name: 'Swift', type: 'programming', extensions: ['swift'], comments: C_STYLE },
+  { name: 'Objective-C', type: 'programming', extensions: ['m', 'mm'], comments: C_STYLE },
+  { name: 'Dart', type: 'programming', extensions: ['dart'], comments: C_STYLE },
+  { name: 'Ruby', type: 'programming', extensions: ['rb', 'rake', 'gemspec'], filenames: ['Gemfile', 'Rakefile'], comments: { line: ['#'], block: [['=begin', '=end']] } },
+  { name: 'PHP', type: 'programming', extensions: ['php'], comments: { line: ['//', '#'], block: [['/*', '*/']] } },
+  { name: 'Perl', type: 'programming', extensions: ['pl', 'pm'], comments: HASH },
+  { name: 'Shell', type: 'programming', extensions: ['sh', 'bash', 'zsh', 'fish'], comments: HASH },
+  { name: 'PowerShell', type: 'programming', extensions: ['ps1', 'psm1'], comments: { line: ['#'], block: [['<#', '#>']] } },
+  { name: 'Batchfile', type: 'programming', extensions: ['bat', 'cmd'], comments: { line: ['REM ', 'rem ', '::'] } },
+  { name: 'Lua', type: 'programming', extensions: ['lua'], comments: { line: ['--'], block: [['--[[', ']]']] } },
+  { name: 'R', type: 'programming', extensions: ['r'], comments: HASH },
+  { name: 'Julia', type: 'programming', extensions: ['jl'], comments: { line: ['#'], block: [['#=', '=#']] } },
+  { name: 'Elixir', type: 'programming', extensions: ['ex', 'exs'], comments: HASH },
+  { name: 'Erlang', type: 'programming', extensions: ['erl', 'hrl'], comments: { line: ['%'] } },
+  { name: 'Haskell', type: 'programming', extensions: ['hs', 'lhs'], comments: { line: ['--'], block: [['{-', '-}']] } },
+  { name: 'OCaml', type: 'programming', extensions: ['ml', 'mli'], comments: { block: [['(*', '*)']] } },
+  { name: 'Clojure', type: 'programming', extensions: ['clj', 'cljs', 'cljc', 'edn'], comments: { line: [';'] } },
+  { name: 'Zig', type: 'programming', extensions: ['zig'], comments: { line: ['//'] } },
+  { name: 'Nim', type: 'programming', extensions: ['nim'], comments: { line: ['#'], block: [['#[', ']#']] } },
+  { name: 'Solidity', type: 'programming', extensions: ['sol'], comments: C_STYLE },
+  { name: 'SQL', type: 'programming', extensions: ['sql'], comments: { line: ['--'], block: [['/*', '*/']] } },
+  { name: 'Vue', type: 'programming', extensions: ['vue'], comments: { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']] } },
+  { name: 'Svelte', type: 'programming', extensions: ['svelte'], comments: { line: ['//'], block: [['<!--', '-->'], ['/*', '*/']] } },
+  { name: 'HTML', type: 'markup', extensions: ['html', 'htm', 'xhtml'], comments: { block: [['<!--', '-->']] } },
+  { name: 'CSS', type: 'markup', extensions: ['css'], comments: { block: [['/*', '*/']] } },
+  { name: 'SCSS', type: 'markup', extensions: ['scss', 'sass'], comments: C_STYLE },
+  { name: 'Less', type: 'markup', extensions: ['less'], comments: C_STYLE },
+  { name: 'Dockerfile', type: 'programming', extensions: ['dockerfile'], filenames: ['Dockerfile', 'Containerfile'], comments: HASH },
+  { name: 'Makefile', type: 'programming', extensions: ['mk', 'mak'], filenames: ['Makefile', 'GNUmakefile'], comments: HASH },
+  { name: 'CMake', type: 'programming', extensions: ['cmake'], filenames: ['CMakeLists.txt'], comments: HASH },
+  { name: 'HCL', type: 'programming', extensions: ['tf', 'tfvars', 'hcl'], comments: { line: ['#', '//'], block: [['/*', '*/']] } },
+  { name: 'Protocol Buffers', type: 'data', extensions: ['proto'], comments: C_STYLE },
+  { name: 'GraphQL', type: 'data', extensions: ['graphql', 'gql'], comments: HASH },
+  { name: 'JSON', type: 'data', extensions: ['json', 'jsonc', 'json5'], comments: NONE },
+  { name: 'YAML', type: 'data', extensions: ['yml', 'yaml'], comments: HASH },
+  { name: 'TOML', type: 'data', extensions: ['toml'], comments: HASH },
+  { name: 'XML', type: 'data', extensions: ['xml', 'xsd', 'xsl', 'plist'], comments: { block: [['<!--', '-->']] } },
+  { name: 'INI', type: 'data', extensions: ['ini', 'cfg', 'conf'], comments: { line: [';', '#'] } },
+  { name: 'Markdown', type: 'prose', extensions: ['md', 'markdown', 'mdx'], comments: { block: [['<!--', '-->']] } },
+  { name: 'reStructuredText', type: 'prose', extensions: ['rst'], comments: NONE },
+  { name: 'Text', type: 'prose', extensions: ['txt'], comments: NONE }
+];
+
+const BY_FILENAME = new Map(LANGUAGES.flatMap(language => (language.filenames || []).map(name => [name, language])));
+const BY_EXTENSION = new Map(LANGUAGES.flatMap(language => language.extensions.map(ext => [ext, language])));
+
+// Vendored dependencies, build output, lock files and other machine-written files
+const GENERATED_PATTERNS = [
+  /(^|\/)(vendor|vendors|third_party|third-party|bower_components|dist|build|out|coverage)\//,
+  /(^|\/)(package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|bun\.lockb|Cargo\.lock|go\.sum|poetry\.lock|Pipfile\.lock|composer\.lock|Gemfile\.lock|mix\.lock|pubspec\.lock)$/,
+  /\.min\.(js|css)$/,
+  /\.(map|snap)$/,
+  /(\.pb\.go|_pb2\.pyi?|\.g\.dart|\.generated\.\w+|\.designer\.cs)$/
+];
+
+// Markers generators leave at the top of their output
+const GENERATED_HEADER = /@generated|do not edit|auto-?generated|generated by/i;
+
+// Largest file whose lines are counted; bigger ones are almost always data
+const MAX_FILE_BYTES = 1024 * 1024;
+
+export function detectLanguage(path) {
+  const name = posix.basename(path);
+  if (BY_FILENAME.has(name)) return BY_FILENAME.get(name);
+
+  const dot = name.lastIndexOf('.');
+  if (dot <= 0) return null;
+  return BY_EXTENSION.get(name.slice(dot + 1).toLowerCase()) || null;
+}
+
+export function isGeneratedPath(path) {
+  return GENERATED_PATTERNS.some(pattern => pattern.test(path));
+}
+
+/**
+ * Count code, comment and blank lines. A line with any code on it counts as
+ * code; strings that happen to contain comment markers are not parsed out,
+ * which is close enough for a breakdown.
+ *
+ * @returns {{ code: number, comment: number, blank: number }}
+ */
+export function countLines(text, language) {
+  const { line: lineMarkers = [], block: blockMarkers = [] } = language?.comments || {};
+  const counts = { code: 0, comment: 0, blank: 0 };
+  if (!text) return counts;
+  let closing = null;
+
+  for (const raw of text.split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line) {
+      counts.blank++;
+      continue;
+    }
+
+    let hasCode = false;
+    while (line) {
+      if (closing) {
+        const end = line.indexOf(closing);
+        if (end === -1) break;
+        line = line.slice(end + closing.length).trim();
+        closing = null;
+        continue;
+      }
+
+      if (lineMarkers.some(marker => line.startsWith(marker))) break;
+
+      const block = blockMarkers.find(([start]) => line.startsWith(start));
+      if (block) {
+        closing = block[1];
+        line = line.slice(block[0].length);
+        continue;
+      }
+
+      // Code, possibly followed by a block comment that runs past this line
+      hasCode = true;
+      const opened = blockMarkers
+        .map(([start, end]) => ({ at: line.indexOf(start), start, end }))
+        .filter(marker => marker.at > 0)
+        .sort((a, b) => a.at - b.at)[0];
+      if (!opened) break;
+      line = line.slice(opened.at);
+    }
+
+    counts[hasCode ? 'code' : 'comment']++;
+  }
+
+  // A trailing newline is not a blank line
+  if (text.endsWith('\n')) counts.blank--;
+  return counts;
+}
+
+// The first bytes of a file: enough to spot binaries and generator headers
+async function readHead(path, bytes = 8000) {
+  const handle = await open(path, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(bytes), 0, bytes, 0);
+    const stats = await handle.stat();
+    return { head: buffer.subarray(0, bytesRead), size: stats.size };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Per-language file and line counts for a list of repository files.
+ *
+ * @param {string} repoPath
+ * @param {string[]} files - Repository-relative paths, e.g. from listRepoFiles
+ * @returns {Promise<{
+ *   languages: Array<{ language: string, type: string, files: number, code: number, comment: number, blank: number }>,
+ *   totals: { files: number, lines: number, code: number, comment: number, blank: number },
+ *   skipped: { generated: number, binary: number, unknown: number, large: number }
+ * }>}
+ */
+export async function computeLanguageStats(repoPath, files) {
+  const byLanguage = new Map();
+  const totals = { files: 0, lines: 0, code: 0, comment: 0, blank: 0 };
+  const skipped = { generated: 0, binary: 0, unknown: 0, large: 0 };
+
+  for (const file of files) {
+    if (isGeneratedPath(file)) {
+      skipped.generated++;
+      continue;
+    }
+
+    const language = detectLanguage(file);
+    if (!language) {
+      skipped.unknown++;
+      continue;
+    }
+
+    let head;
+    let size;
+    try {
+      ({ head, size } = await readHead(join(repoPath, file)));
+    } catch (error) {
+      continue; // Vanished or unreadable since discovery
+    }
+
+    if (head.includes(0)) {
+      skipped.binary++;
+      continue;
+    }
+    if (size > MAX_FILE_BYTES) {
+      skipped.large++;
+      continue;
+    }
+
+    const text = size <= head.length ? head.toString('utf8') : await readFile(join(repoPath, file), 'utf8');
+    if (GENERATED_HEADER.test(text.split('\n', 5).join('\n'))) {
+      skipped.generated++;
+      continue;
+    }
+
+    const counts = countLines(text, language);
+    if (!byLanguage.has(language.name)) {
+      byLanguage.set(language.name, { language: language.name, type: language.type, files: 0, code: 0, comment: 0, blank: 0 });
+    }
+    const entry = byLanguage.get(language.name);
+    entry.files++;
+    totals.files++;
+    for (const kind of ['code', 'comment', 'blank']) {
+      entry[kind] += counts[kind];
+      totals[kind] += counts[kind];
+    }
+  }
+
+  totals.lines = totals.code + totals.comment + totals.blank;
+
+  return {
+    languages: [...byLanguage.values()].sort((a, b) => b.code - a.code || b.files - a.files),
+    totals,
+    skipped
+  };
+}
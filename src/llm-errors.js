@@ -0,0 +1,72 @@
+/**
+ * LLM Errors
+ * Error types raised by ModelAdapter and its helpers
+ */
+
+/**
+ * A single request to the provider failed. `retryable` tells the retry
+ * policy whether trying again could help; `status` is the HTTP status when
+ * the provider answered at all.
+ */
+export class LLMRequestError extends Error {
+  constructor(message, { status = null, retryable = false, retryAfterMs = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'LLMRequestError';
+    this.status = status;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Raised once the circuit breaker has tripped. It is fatal: callers with
+ * per-item fallbacks must rethrow it so the run stops instead of grinding
+ * through every remaining file against a dead upstream.
+ */
+export class CircuitOpenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.fatal = true;
+  }
+}
+
+/**
+ * Raised in replay mode when a prompt has no recorded response. Fatal,
+ * because silently falling back would make an offline run look successful.
+ */
+export class CacheMissError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CacheMissError';
+    this.fatal = true;
+  }
+}
+
+/**
+ * Raised before a call once the run's token or cost budget is spent.
+ */
+export class BudgetExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.fatal = true;
+  }
+}
+
+/**
+ * The model never produced JSON matching the requested schema, even after a
+ * repair prompt. Not fatal; `rawText` holds the last reply for fallbacks.
+ */
+export class StructuredOutputError extends Error {
+  constructor(message, { rawText = '', validationErrors = [] } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.rawText = rawText;
+    this.validationErrors = validationErrors;
+  }
+}
+
+export function isFatalLLMError(error) {
+  return Boolean(error && error.fatal);
+}
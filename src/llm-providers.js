@@ -0,0 +1,264 @@
+/**
+ * LLM Providers
+ * Request/response mapping, auth and usage reporting for each supported backend
+ */
+
+/**
+ * Base class for chat-completion backends. A provider only knows how to turn a
+ * normalized request into an HTTP request and how to read the reply back;
+ * ModelAdapter owns the actual fetch.
+ */
+export class LLMProvider {
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || null;
+    this.baseUrl = (config.baseUrl || this.constructor.defaultBaseUrl).replace(/\/+$/, '');
+  }
+
+  get name() {
+    return this.constructor.id;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  get defaultModel() {
+    return this.constructor.defaultModel;
+  }
+
+  get requiresApiKey() {
+    return true;
+  }
+
+  // Whether the backend can be told to emit JSON only
+  get supportsJsonMode() {
+    return false;
+  }
+
+  validate() {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new Error(`${this.label} API key is required`);
+    }
+  }
+
+  /**
+   * @param {{ model: string, messages: Array<{role: string, content: string}>, temperature: number, maxTokens: number, jsonMode?: boolean }} request
+   * @returns {{ url: string, headers: object, body: object }}
+   */
+  buildRequest(request) {
+    throw new Error(`${this.label} provider does not implement buildRequest`);
+  }
+
+  /**
+   * @returns {{ text: string, model: string, usage: { prompt_tokens: number, completion_tokens: number, total_tokens: number } }}
+   */
+  parseResponse(data, request) {
+    throw new Error(`${this.label} provider does not implement parseResponse`);
+  }
+}
+
+function normalizeUsage(promptTokens = 0, completionTokens = 0) {
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Any endpoint speaking the OpenAI chat completions protocol, including
+ * llama.cpp's server and vLLM when pointed at with a custom base URL.
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  static id = 'openai';
+  static label = 'OpenAI';
+  static apiKeyEnv = 'OPENAI_API_KEY';
+  static defaultBaseUrl = 'https://api.openai.com/v1';
+  static defaultModel = 'gpt-4o-mini';
+
+  get requiresApiKey() {
+    // Self-hosted OpenAI-compatible servers usually run without auth
+    return this.baseUrl === this.constructor.defaultBaseUrl;
+  }
+
+  get supportsJsonMode() {
+    return true;
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequest({ model, messages, temperature, maxTokens, jsonMode }) {
+    const body = {
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      headers: this.getHeaders(),
+      body
+    };
+  }
+
+  parseResponse(data, request) {
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      model: data.model || request.model,
+      usage: normalizeUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens)
+    };
+  }
+}
+
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+  static id = 'openrouter';
+  static label = 'OpenRouter';
+  static apiKeyEnv = 'OPENROUTER_API_KEY';
+  static defaultBaseUrl = 'https://openrouter.ai/api/v1';
+  static defaultModel = 'anthropic/claude-3.5-sonnet';
+
+  get requiresApiKey() {
+    return true;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'HTTP-Referer': 'https://github.com/idea-nexus-ventures/analyze-action',
+      'X-Title': 'Consciousness Lab GitHub Action'
+    };
+  }
+}
+
+export class AnthropicProvider extends LLMProvider {
+  static id = 'anthropic';
+  static label = 'Anthropic';
+  static apiKeyEnv = 'ANTHROPIC_API_KEY';
+  static defaultBaseUrl = 'https://api.anthropic.com/v1';
+  static defaultModel = 'claude-3-5-sonnet-latest';
+  static apiVersion = '2023-06-01';
+
+  buildRequest({ model, messages, temperature, maxTokens }) {
+    // The Messages API takes the system prompt as a top-level field
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const body = {
+      model,
+      messages: messages.filter(m => m.role !== 'system'),
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    return {
+      url: `${this.baseUrl}/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.constructor.apiVersion
+      },
+      body
+    };
+  }
+
+  parseResponse(data, request) {
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      model: data.model || request.model,
+      usage: normalizeUsage(data.usage?.input_tokens, data.usage?.output_tokens)
+    };
+  }
+}
+
+/**
+ * Ollama's native chat endpoint. Use the `openai` provider with a base URL
+ * for llama.cpp and other OpenAI-compatible local servers.
+ */
+export class OllamaProvider extends LLMProvider {
+  static id = 'ollama';
+  static label = 'Ollama';
+  static apiKeyEnv = 'OLLAMA_API_KEY';
+  static defaultBaseUrl = 'http://localhost:11434';
+  static defaultModel = 'llama3.1';
+
+  get requiresApiKey() {
+    return false;
+  }
+
+  get supportsJsonMode() {
+    return true;
+  }
+
+  buildRequest({ model, messages, temperature, maxTokens, jsonMode }) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages,
+      stream: false,
+      options: {
+        temperature,
+        num_predict: maxTokens
+      }
+    };
+    if (jsonMode) {
+      body.format = 'json';
+    }
+
+    return {
+      url: `${this.baseUrl}/api/chat`,
+      headers,
+      body
+    };
+  }
+
+  parseResponse(data, request) {
+    return {
+      text: data.message?.content || '',
+      model: data.model || request.model,
+      usage: normalizeUsage(data.prompt_eval_count, data.eval_count)
+    };
+  }
+}
+
+export const PROVIDERS = {
+  [OpenRouterProvider.id]: OpenRouterProvider,
+  [OpenAICompatibleProvider.id]: OpenAICompatibleProvider,
+  [AnthropicProvider.id]: AnthropicProvider,
+  [OllamaProvider.id]: OllamaProvider
+};
+
+export function createProvider(name = 'openrouter', config = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider '${name}'. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider({
+    ...config,
+    apiKey: config.apiKey || process.env.LLM_API_KEY || process.env[Provider.apiKeyEnv]
+  });
+}
@@ -1,95 +1,288 @@
 /**
- * OpenRouter Model Adapter
- * Handles LLM API calls via OpenRouter
+ * Model Adapter
+ * Handles LLM API calls through a pluggable provider backend
  */
 
+import { createProvider } from './llm-providers.js';
+import { LLMRequestError, CacheMissError, StructuredOutputError, isFatalLLMError } from './llm-errors.js';
+import { RetryPolicy, CircuitBreaker, isRetryableStatus, parseRetryAfter } from './retry-policy.js';
+import { ResponseCache } from './response-cache.js';
+import { UsageTracker } from './usage-tracker.js';
+import { extractJSON, validateSchema } from './json-schema.js';
+
 export class ModelAdapter {
   constructor(config = {}) {
-    this.openrouterKey = config.openrouterKey || process.env.OPENROUTER_API_KEY;
-    this.defaultModel = config.defaultModel || 'anthropic/claude-3.5-sonnet';
-    this.baseUrl = 'https://openrouter.ai/api/v1/chat/completions';
-    
-    if (!this.openrouterKey) {
-      throw new Error('OpenRouter API key is required');
+    const providerName = config.provider || process.env.LLM_PROVIDER || 'openrouter';
+    this.provider = createProvider(providerName, {
+      apiKey: config.apiKey || (providerName === 'openrouter' ? config.openrouterKey : undefined),
+      baseUrl: config.baseUrl || process.env.LLM_BASE_URL || undefined
+    });
+    this.defaultModel = config.defaultModel || this.provider.defaultModel;
+
+    const retry = config.retry || {};
+    this.retryPolicy = new RetryPolicy({
+      ...retry,
+      maxRetries: retry.maxRetries ?? envNumber('LLM_MAX_RETRIES')
+    });
+    this.timeoutMs = config.timeoutMs ?? envNumber('LLM_TIMEOUT_MS') ?? 120000;
+    this.circuitBreaker = new CircuitBreaker({
+      failureThreshold: config.circuitBreakerThreshold ?? envNumber('LLM_CIRCUIT_BREAKER_THRESHOLD')
+    });
+
+    this.cache = new ResponseCache({
+      mode: config.cacheMode || process.env.LLM_CACHE_MODE || undefined,
+      cacheDir: config.cacheDir || process.env.LLM_CACHE_DIR || undefined
+    });
+
+    this.usage = config.usageTracker || new UsageTracker({
+      reportPath: config.usageReportPath || process.env.LLM_USAGE_REPORT || undefined,
+      prices: config.prices,
+      maxCostUsd: config.maxCostUsd ?? envNumber('LLM_BUDGET_USD'),
+      maxTokens: config.maxTokens ?? envNumber('LLM_BUDGET_TOKENS')
+    });
+
+    // Replay runs are meant to work offline, without credentials
+    if (this.cache.mode !== 'replay') {
+      this.provider.validate();
     }
   }
 
+  /**
+   * @param {string} model - Model id, or falsy for the default model
+   * @param {string|Array<{role: 'system'|'user'|'assistant', content: string}>} prompt -
+   *   A single user prompt, or a full conversation
+   * @param {object} [options] - `system` prepends a system prompt; `agent` and
+   *   `phase` tag usage; `temperature`, `maxTokens` and `jsonMode` shape the
+   *   request; `fallbacks` lists models to try in order if this one fails
+   * @returns {Promise<{ text: string, model: string, usage: object }>} `model`
+   *   is the model that actually answered
+   */
   async call(model, prompt, options = {}) {
-    const requestBody = {
-      model: model || this.defaultModel,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 8000
+    const baseRequest = {
+      messages: toMessages(prompt, options.system),
+      temperature: options.temperature ?? 0.7,
+      maxTokens: options.maxTokens || 8000,
+      jsonMode: Boolean(options.jsonMode && this.provider.supportsJsonMode)
     };
 
+    const chain = [...new Set([model || this.defaultModel, ...(options.fallbacks || [])])];
+
+    for (let i = 0; i < chain.length; i++) {
+      try {
+        return await this.callModel({ ...baseRequest, model: chain[i] }, options);
+      } catch (error) {
+        const next = chain[i + 1];
+        if (!next || isFatalLLMError(error) || !canFallBack(error)) {
+          throw error;
+        }
+        console.warn(`  ↪ ${chain[i]} failed (${error.message}), falling back to ${next}`);
+      }
+    }
+  }
+
+  async callModel(request, options) {
+    let response;
+
+    if (this.cache.mode === 'replay') {
+      const key = this.cache.getKey(this.provider.name, request);
+      const cached = await this.cache.get(key);
+      if (!cached) {
+        throw new CacheMissError(
+          `No recorded response for ${request.model} (key ${key.slice(0, 12)}) in ${this.cache.cacheDir}`
+        );
+      }
+      response = { ...cached, cached: true };
+    } else {
+      this.usage.checkBudget();
+      response = await this.requestWithRetries(request);
+
+      if (this.cache.mode === 'record') {
+        await this.cache.set(this.cache.getKey(this.provider.name, request), this.provider.name, request, response);
+      }
+    }
+
+    this.usage.record({
+      provider: this.provider.name,
+      model: request.model,
+      usage: response.usage,
+      agent: options.agent,
+      phase: options.phase,
+      cached: Boolean(response.cached)
+    });
+
+    return { ...response, model: response.model || request.model };
+  }
+
+  async requestWithRetries(request) {
+    this.circuitBreaker.assertClosed();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await this.sendRequest(request);
+        this.circuitBreaker.recordSuccess();
+        return result;
+      } catch (error) {
+        if (this.retryPolicy.shouldRetry(error, attempt)) {
+          const delay = this.retryPolicy.getDelay(attempt, error.retryAfterMs);
+          console.warn(
+            `  ↻ Retrying ${request.model} (attempt ${attempt + 2}/${this.retryPolicy.maxRetries + 1}) ` +
+            `in ${delay}ms: ${error.message}`
+          );
+          await sleep(delay);
+          continue;
+        }
+
+        // Only upstream trouble counts towards the breaker; a 400 for a bad
+        // prompt says nothing about the provider's health
+        if (error.retryable) {
+          this.circuitBreaker.recordFailure(error);
+        }
+        throw new LLMRequestError(`Failed to call LLM: ${error.message}`, {
+          status: error.status,
+          retryable: error.retryable,
+          cause: error
+        });
+      }
+    }
+  }
+
+  async sendRequest(request) {
+    const { url, headers, body } = this.provider.buildRequest(request);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
     try {
-      const response = await fetch(this.baseUrl, {
+      const response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.openrouterKey}`,
-          'HTTP-Referer': 'https://github.com/idea-nexus-ventures/analyze-action',
-          'X-Title': 'Consciousness Lab GitHub Action'
-        },
-        body: JSON.stringify(requestBody)
+        headers,
+        body: JSON.stringify(body),
+        signal: controller.signal
       });
 
       if (!response.ok) {
         const error = await response.text();
-        throw new Error(`OpenRouter API error: ${response.status} - ${error}`);
+        throw new LLMRequestError(`${this.provider.label} API error: ${response.status} - ${error}`, {
+          status: response.status,
+          retryable: isRetryableStatus(response.status),
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+        });
       }
 
       const data = await response.json();
       
-      return {
-        text: data.choices[0]?.message?.content || '',
-        model: data.model,
-        usage: data.usage
-      };
+      return this.provider.parseResponse(data, request);
     } catch (error) {
-      throw new Error(`Failed to call LLM: ${error.message}`);
+      if (error instanceof LLMRequestError) {
+        throw error;
+      }
+      if (error.name === 'AbortError') {
+        throw new LLMRequestError(`Request timeout after ${this.timeoutMs}ms`, { retryable: true, cause: error });
+      }
+      // fetch() rejects with a TypeError on DNS, connection and TLS failures
+      throw new LLMRequestError(`Network error: ${error.cause?.message || error.message}`, {
+        retryable: true,
+        cause: error
+      });
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  /**
+   * Call the model and return its reply parsed as JSON. When `options.schema`
+   * is given the result is validated against it; on a parse or validation
+   * failure the model gets one repair prompt listing the errors.
+   */
   async callWithJSON(model, prompt, options = {}) {
-    const response = await this.call(model, prompt, options);
-    
-    try {
-      // Try to extract JSON from response - handle both objects and arrays
-      const jsonMatch = response.text.match(/[\{\[][\s\S]*[\}\]]/);
-      if (jsonMatch) {
-        const jsonStr = jsonMatch[0];
-        // Try to find the complete JSON by counting braces/brackets
-        let braceCount = 0;
-        let bracketCount = 0;
-        let endPos = 0;
-        
-        for (let i = 0; i < jsonStr.length; i++) {
-          const char = jsonStr[i];
-          if (char === '{') braceCount++;
-          if (char === '}') braceCount--;
-          if (char === '[') bracketCount++;
-          if (char === ']') bracketCount--;
-          
-          if (braceCount === 0 && bracketCount === 0 && i > 0) {
-            endPos = i + 1;
-            break;
-          }
-        }
-        
-        const completeJson = jsonStr.substring(0, endPos);
-        return JSON.parse(completeJson);
-      }
-    } catch (e) {
-      throw new Error(`Failed to parse JSON response: ${e.message}`);
+    const { data } = await this.callStructured(model, prompt, options);
+    return data;
+  }
+
+  /**
+   * Same as callWithJSON(), but also reports which model answered.
+   *
+   * @returns {Promise<{ data: any, model: string }>}
+   */
+  async callStructured(model, prompt, options = {}) {
+    const { schema, ...callOptions } = options;
+    // Native JSON modes force a top-level object, so they're only asked for
+    // when the schema wants one; without a schema the reply could be an array
+    const jsonOptions = { ...callOptions, jsonMode: schema?.type === 'object' };
+
+    const messages = toMessages(prompt, callOptions.system);
+    const response = await this.call(model, messages, jsonOptions);
+    let result = parseStructured(response.text, schema);
+    if (result.errors.length === 0) {
+      return { data: result.value, model: response.model };
+    }
+
+    console.warn(`  ↻ Repairing structured output from ${response.model}: ${result.errors.slice(0, 3).join('; ')}`);
+
+    // Stay on the model that answered rather than restarting the fallback chain
+    const repair = await this.call(response.model, [
+      ...messages,
+      { role: 'assistant', content: response.text },
+      { role: 'user', content: buildRepairPrompt(result.errors, schema) }
+    ], { ...jsonOptions, fallbacks: [] });
+    result = parseStructured(repair.text, schema);
+    if (result.errors.length === 0) {
+      return { data: result.value, model: repair.model };
+    }
+
+    throw new StructuredOutputError(
+      `Invalid JSON response after repair: ${result.errors.slice(0, 5).join('; ')}`,
+      { rawText: repair.text, validationErrors: result.errors }
+    );
+  }
+}
+
+function parseStructured(text, schema) {
+  const value = extractJSON(text);
+  if (value === undefined) {
+    return { value, errors: ['No valid JSON found in response'] };
+  }
+  return { value, errors: validateSchema(value, schema) };
+}
+
+// Bad credentials fail every model the same way, so there is no point
+// walking the rest of the chain
+function canFallBack(error) {
+  return error instanceof LLMRequestError && error.status !== 401 && error.status !== 403;
+}
+
+const MESSAGE_ROLES = new Set(['system', 'user', 'assistant']);
+
+function toMessages(prompt, system) {
+  const messages = typeof prompt === 'string'
+    ? [{ role: 'user', content: prompt }]
+    : [...prompt];
+
+  for (const message of messages) {
+    if (!MESSAGE_ROLES.has(message.role) || typeof message.content !== 'string') {
+      throw new Error(`Invalid chat message: ${JSON.stringify(message).substring(0, 200)}`);
     }
+  }
 
-    throw new Error('No valid JSON found in response');
+  if (system && messages[0]?.role !== 'system') {
+    messages.unshift({ role: 'system', content: system });
   }
+  return messages;
+}
+
+function buildRepairPrompt(errors, schema) {
+  return `Your previous response could not be used. It had these problems:
+${errors.slice(0, 20).map(error => `- ${error}`).join('\n')}
+${schema ? `\nThe response must match this JSON Schema:\n${JSON.stringify(schema, null, 2)}\n` : ''}
+Respond again with ONLY the corrected JSON. No additional text before or after.`;
 }
 
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function envNumber(name) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
@@ -0,0 +1,51 @@
+/**
+ * Model Settings
+ * Resolves model, temperature, max_tokens and fallbacks per agent and phase
+ */
+
+export const PHASES = ['analysis', 'deep_dive', 'coaching', 'review'];
+
+function pick(settings) {
+  if (!settings) return {};
+
+  const picked = {};
+  if (settings.model) picked.model = settings.model;
+  if (settings.temperature !== undefined) picked.temperature = settings.temperature;
+  if (settings.max_tokens !== undefined) picked.maxTokens = settings.max_tokens;
+  if (settings.fallbacks) picked.fallbacks = settings.fallbacks;
+  return picked;
+}
+
+/**
+ * Apply a model chosen explicitly with `--model`, the `MODEL` variable or
+ * the action's `model` input. It replaces the config's global `llm.model`,
+ * since the run's own choice beats the repository's default; per-phase and
+ * per-agent models are more specific and still win over it.
+ */
+export function applyModelOverride(config = {}, model = null) {
+  if (!model) return config;
+  return { ...config, llm: { ...config.llm, model } };
+}
+
+/**
+ * Layers, later ones winning: the config's global `llm` block, its phase
+ * override, the character's own `llm` block and phase override, then the
+ * config's per-agent block and its phase override. The repository's config
+ * wins over character definitions because it is the operator's choice.
+ *
+ * @returns {{ model?: string, temperature?: number, maxTokens?: number, fallbacks?: string[] }}
+ *   Options for ModelAdapter.call(); unset fields fall back to the adapter defaults
+ */
+export function resolveModelSettings(config = {}, character = null, phase = null) {
+  const llm = config.llm || {};
+  const agentLlm = character ? llm.agents?.[character.id] : null;
+
+  return {
+    ...pick(llm),
+    ...pick(llm.phases?.[phase]),
+    ...pick(character?.llm),
+    ...pick(character?.llm?.phases?.[phase]),
+    ...pick(agentLlm),
+    ...pick(agentLlm?.phases?.[phase])
+  };
+}
@@ -0,0 +1,71 @@
+/**
+ * Note Roll-up
+ * Condenses child notes into digests that fit a parent's prompt, so
+ * directory and repository summaries are built bottom-up from the notes
+ * below them
+ */
+
+import { estimateTokens } from './repo-context.js';
+import { noteAnalysis } from './notes-cache.js';
+
+// Insights carried up per child note, before any trimming for the budget
+const INSIGHTS_PER_NOTE = 3;
+// Length summaries are cut to when whole ones don't fit
+const SHORT_SUMMARY = 160;
+
+/**
+ * Digest of one child for its parent's prompt: its summary and top
+ * insights, plus any `extra` fields such as size. A child without a note
+ * gets a null summary, so the parent still knows it exists.
+ *
+ * @param {string} name
+ * @param {object|null} note - A cached note or a fresh analysis
+ * @param {object} [extra]
+ */
+export function digestNote(name, note, extra = {}) {
+  const analysis = noteAnalysis(note);
+  if (!analysis) return { name, ...extra, summary: null };
+  return {
+    name,
+    ...extra,
+    summary: analysis.summary || null,
+    insights: (analysis.insights || []).slice(0, INSIGHTS_PER_NOTE)
+  };
+}
+
+function shorten(text, length) {
+  return text && text.length > length ? `${text.substring(0, length - 3)}...` : text;
+}
+
+/**
+ * Fit digests, most important first, into `maxTokens`. Detail goes before
+ * entries do: insights are cut to one and then dropped, summaries are
+ * shortened, and only then are entries left off the end and counted in
+ * `omitted`.
+ *
+ * @param {object[]} digests
+ * @param {number} maxTokens
+ * @returns {{ entries: object[], omitted: number }}
+ */
+export function fitDigests(digests, maxTokens) {
+  const steps = [
+    digest => digest,
+    digest => ({ ...digest, insights: digest.insights?.slice(0, 1) }),
+    ({ insights, ...digest }) => digest,
+    digest => ({ ...digest, summary: shorten(digest.summary, SHORT_SUMMARY) })
+  ];
+
+  let entries = digests;
+  for (const step of steps) {
+    entries = entries.map(step);
+    if (estimateTokens(entries) <= maxTokens) return { entries, omitted: 0 };
+  }
+
+  let used = 0;
+  let kept = 0;
+  while (kept < entries.length && used + estimateTokens(entries[kept]) <= maxTokens) {
+    used += estimateTokens(entries[kept]);
+    kept++;
+  }
+  return { entries: entries.slice(0, kept), omitted: entries.length - kept };
+}
@@ -3,12 +3,22 @@
  * Manages agent notes at different levels of granularity
  */
 
-import { readFile, writeFile, mkdir, readdir, stat, unlink, rmdir } from 'fs/promises';
+import { mkdir, readdir, stat, unlink, rmdir } from 'fs/promises';
 import { join, dirname, relative } from 'path';
 import { existsSync } from 'fs';
+import { writeJSONAtomic, readJSONOrQuarantine } from './file-store.js';
+import { getRepoPath } from './config.js';
+
+/**
+ * The analysis a note holds: NotesCache entries wrap it in `content`, and a
+ * fresh analysis passed around in its place is the analysis itself.
+ */
+export function noteAnalysis(note) {
+  return note ? (note.content || note) : null;
+}
 
 export class NotesCache {
-  constructor(agentId, basePath = '.agent-notes') {
+  constructor(agentId, basePath = join(getRepoPath(), '.agent-notes')) {
     this.agentId = agentId;
     this.basePath = basePath;
     // Notes are stored in the agent's branch, so just use the base path
@@ -22,48 +32,61 @@ export class NotesCache {
     }
   }
 
-  async saveNote(path, note, level = 'file') {
+  /**
+   * @param {string} path
+   * @param {object} note
+   * @param {string} [level]
+   * @param {{ hash: string, model: string, promptVersion: number }} [source] -
+   *   What the note was built from: the content hash of the file, or of a
+   *   directory's or module's children, and the model and prompt version used
+   */
+  async saveNote(path, note, level = 'file', source = null) {
     await this.ensureNotesDirectory();
     
     const notePath = this.getNotePath(path, level);
-    const noteDir = dirname(notePath);
-    
-    if (!existsSync(noteDir)) {
-      await mkdir(noteDir, { recursive: true });
-    }
 
     const noteData = {
       agent: this.agentId,
       path: path,
       level: level,
       timestamp: Date.now(),
+      source: source,
       content: note,
       metadata: {
         size: JSON.stringify(note).length,
-        version: '1.0.0'
+        version: '1.1.0'
       }
     };
 
-    await writeFile(notePath, JSON.stringify(noteData, null, 2), 'utf8');
+    // Each note is written whole, so the atomic rename is all it needs
+    await writeJSONAtomic(notePath, noteData);
     return notePath;
   }
 
   async loadNote(path, level = 'file') {
     const notePath = this.getNotePath(path, level);
-    
-    if (!existsSync(notePath)) {
-      return null;
-    }
 
     try {
-      const data = await readFile(notePath, 'utf8');
-      return JSON.parse(data);
+      // Corrupt notes are quarantined and re-analyzed
+      return (await readJSONOrQuarantine(notePath)) || null;
     } catch (error) {
       console.warn(`Failed to load note for ${path}:`, error.message);
       return null;
     }
   }
 
+  /**
+   * Whether a note was built from `source`: the same content hash, model
+   * and prompt version. Notes written before sources were recorded never
+   * match, so they are rebuilt once.
+   */
+  isNoteCurrent(note, source) {
+    return Boolean(note?.source && source)
+      && note.source.hash === source.hash
+      && note.source.model === source.model
+      && note.source.promptVersion === source.promptVersion;
+  }
+
   async loadNotesForPath(path) {
     const notes = [];
     const levels = ['file', 'directory', 'module', 'package'];
@@ -177,11 +200,13 @@ export class NotesCache {
           notes.push(...subNotes);
         } else if (entry.endsWith('.json')) {
           try {
-            const data = await readFile(fullPath, 'utf8');
-            const note = JSON.parse(data);
-            notes.push(note);
+            // Malformed notes are quarantined and skipped
+            const note = await readJSONOrQuarantine(fullPath);
+            if (note) {
+              notes.push(note);
+            }
           } catch (error) {
-            // Skip malformed notes
+            // Skip unreadable notes
           }
         }
       }
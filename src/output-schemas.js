@@ -0,0 +1,198 @@
+/**
+ * Output Schemas
+ * JSON Schemas for every structured LLM response the agents rely on
+ */
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const entities = {
+  type: 'object',
+  properties: {
+    components: stringList,
+    patterns: stringList,
+    concepts: stringList
+  },
+  additionalProperties: stringList
+};
+
+const confidence = { type: 'number', minimum: 0, maximum: 100 };
+
+// Typed edges for the knowledge graph; loose "A depends on B" strings are
+// still accepted and parsed when stored
+const relationships = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        required: ['from', 'type', 'to'],
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          type: { type: 'string' },
+          to: { type: 'string', minLength: 1 },
+          source: { type: 'string' }
+        }
+      }
+    ]
+  }
+};
+
+export const ANALYSIS_SCHEMA = {
+  type: 'object',
+  // Confidence drives evolution, so an analysis without one is repaired
+  required: ['summary', 'insights', 'confidence'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    insights: { ...stringList, minItems: 1 },
+    entities,
+    relationships,
+    confidence
+  }
+};
+
+/**
+ * Stand-in for an analysis whose reply never matched ANALYSIS_SCHEMA, even
+ * after the repair prompt. `fallback` marks it: it is reported, but it never
+ * evolves the agent or enters its learning history.
+ */
+export function fallbackAnalysis(rawText = '') {
+  const summary = rawText.substring(0, 500).replace(/[{}"]/g, '').trim();
+  return {
+    summary: summary || 'Analysis unavailable: the reply could not be parsed',
+    insights: [],
+    entities: {},
+    fallback: true
+  };
+}
+
+export const CONTENT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'insights'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    insights: stringList,
+    entities,
+    patterns: stringList,
+    relationships,
+    confidence
+  }
+};
+
+export const DEEP_DIVE_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'architecture'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    architecture: { type: 'string' },
+    patterns: stringList,
+    insights: stringList,
+    recommendations: stringList,
+    confidence
+  }
+};
+
+export const IMPROVEMENTS_SCHEMA = {
+  type: 'object',
+  required: ['improvements'],
+  properties: {
+    improvements: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'category', 'title', 'description'],
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          category: { type: 'string' },
+          title: { type: 'string' },
+          description: { type: 'string' },
+          impact: { type: 'string' },
+          effort: { type: 'string' },
+          priority: { type: 'number' }
+        }
+      }
+    }
+  }
+};
+
+export const DISCUSSION_SCHEMA = {
+  type: 'object',
+  required: ['perspective', 'top_priorities'],
+  properties: {
+    perspective: { type: 'string' },
+    top_priorities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['improvement_id', 'reason'],
+        properties: {
+          improvement_id: { type: 'string' },
+          reason: { type: 'string' },
+          priority_score: { type: 'number' }
+        }
+      }
+    },
+    additional_insights: stringList,
+    risks: stringList,
+    recommendations: stringList
+  }
+};
+
+export const COACHING_REPORT_SCHEMA = {
+  type: 'object',
+  required: ['executive_summary', 'consensus_priorities', 'quick_wins', 'action_plan', 'recommendations'],
+  properties: {
+    executive_summary: { type: 'string', minLength: 1 },
+    consensus_priorities: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['improvement_id', 'reason'],
+        properties: {
+          improvement_id: { type: 'string' },
+          consensus_score: { type: 'number' },
+          reason: { type: 'string' },
+          quick_win: { type: 'boolean' }
+        }
+      }
+    },
+    // Models return these as plain strings or as objects with a title;
+    // the summary issue renders both
+    quick_wins: { type: 'array' },
+    long_term_investments: { type: 'array' },
+    action_plan: {
+      type: 'object',
+      properties: {
+        immediate: { type: 'array' },
+        short_term: { type: 'array' },
+        long_term: { type: 'array' }
+      }
+    },
+    risks: { type: 'array' },
+    recommendations: { type: 'array' }
+  }
+};
+
+export const REVIEW_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'findings'],
+  properties: {
+    summary: { type: 'string' },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['line', 'title'],
+        properties: {
+          line: { type: 'integer', minimum: 1 },
+          end_line: { type: 'integer', minimum: 1 },
+          // Anything but high, medium or low is read as low
+          severity: { type: 'string' },
+          title: { type: 'string', minLength: 1 },
+          body: { type: 'string' }
+        }
+      }
+    }
+  }
+};
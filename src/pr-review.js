@@ -0,0 +1,288 @@
+/**
+ * Pull Request Review
+ * Changed files and hunks against a base ref, and agent findings on them
+ * shaped for a GitHub pull request review
+ */
+
+import { GitHubIntegration } from './github-integration.js';
+import { resolveFileFilters, isIncluded } from './file-discovery.js';
+import { isGeneratedPath } from './language-stats.js';
+
+/**
+ * Defaults for the `review` block of the repository config (snake_case keys
+ * there).
+ */
+export const REVIEW_DEFAULTS = {
+  // Changed files reviewed per agent, largest changes first
+  maxFiles: 25,
+  // Diff characters sent per file; the rest of a long diff is cut
+  maxDiffChars: 6000,
+  // Repository context budget per file prompt; the diff is what matters
+  contextTokens: 1000
+};
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+const SEVERITY_BADGES = { high: '🔴', medium: '🟠', low: '🟡' };
+
+export function resolveReviewSettings(config = {}) {
+  const overrides = config.review || {};
+  return {
+    maxFiles: overrides.max_files ?? REVIEW_DEFAULTS.maxFiles,
+    maxDiffChars: overrides.max_diff_chars ?? REVIEW_DEFAULTS.maxDiffChars,
+    contextTokens: REVIEW_DEFAULTS.contextTokens
+  };
+}
+
+function stripPrefix(path) {
+  if (path === '/dev/null') return null;
+  // Git appends a tab to names containing spaces
+  return path.replace(/\t$/, '').replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse `git diff` output.
+ *
+ * @returns {Array<{ path: string, previousPath: string|null, status: 'added'|'modified'|'renamed'|'deleted',
+ *   binary: boolean, additions: number, deletions: number, hunks: Array<{ oldStart: number, oldLines: number,
+ *   newStart: number, newLines: number, header: string,
+ *   lines: Array<{ type: '+'|'-'|' ', text: string, oldLine: number|null, newLine: number|null }> }> }>}
+ */
+export function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of text.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      const [, a, b] = line.match(/^diff --git a\/(.*) b\/(.*)$/) || [];
+      file = { path: b || '', previousPath: a || null, status: 'modified', binary: false, additions: 0, deletions: 0, hunks: [] };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+
+    if (!hunk) {
+      if (line.startsWith('new file mode')) file.status = 'added';
+      else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+      else if (line.startsWith('rename from ')) file.previousPath = line.slice('rename from '.length);
+      else if (line.startsWith('rename to ')) {
+        file.path = line.slice('rename to '.length);
+        file.status = 'renamed';
+      } else if (line.startsWith('Binary files ')) file.binary = true;
+      else if (line.startsWith('--- ')) file.previousPath = stripPrefix(line.slice(4));
+      else if (line.startsWith('+++ ')) file.path = stripPrefix(line.slice(4)) ?? file.path;
+    }
+
+    const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+    if (header) {
+      hunk = {
+        oldStart: parseInt(header[1], 10),
+        oldLines: header[2] === undefined ? 1 : parseInt(header[2], 10),
+        newStart: parseInt(header[3], 10),
+        newLines: header[4] === undefined ? 1 : parseInt(header[4], 10),
+        header: header[5],
+        lines: []
+      };
+      oldLine = hunk.oldStart;
+      newLine = hunk.newStart;
+      file.hunks.push(hunk);
+      continue;
+    }
+    if (!hunk) continue;
+
+    const type = line[0];
+    if (type === '+') {
+      hunk.lines.push({ type, text: line.slice(1), oldLine: null, newLine: newLine++ });
+      file.additions++;
+    } else if (type === '-') {
+      hunk.lines.push({ type, text: line.slice(1), oldLine: oldLine++, newLine: null });
+      file.deletions++;
+    } else if (type === ' ') {
+      hunk.lines.push({ type, text: line.slice(1), oldLine: oldLine++, newLine: newLine++ });
+    }
+    // '\ No newline at end of file' and the trailing empty line carry no content
+  }
+
+  return files;
+}
+
+/**
+ * The files a review covers: changed, still present, text, not generated
+ * and within the configured file globs. Largest changes come first, so a
+ * file limit drops the smallest ones.
+ *
+ * @param {string} repoPath
+ * @param {string} baseRef - Branch, tag or commit the changes are measured from
+ * @param {object} [config] - Repository config, for `files` and `review`
+ * @returns {Promise<{ base: string, prefix: string, files: object[], skipped: Array<{ path: string, reason: string }> }>}
+ */
+export async function getPullRequestChanges(repoPath, baseRef, config = {}) {
+  const github = new GitHubIntegration(repoPath);
+  const diff = parseUnifiedDiff(await github.getDiff(baseRef));
+  const filters = resolveFileFilters(config);
+  const { maxFiles } = resolveReviewSettings(config);
+
+  const files = [];
+  const skipped = [];
+  for (const file of diff) {
+    let reason = null;
+    if (file.status === 'deleted') reason = 'deleted';
+    else if (file.binary) reason = 'binary';
+    else if (file.hunks.length === 0) reason = 'renamed without changes';
+    else if (!isIncluded(file.path, filters)) reason = 'excluded';
+    else if (isGeneratedPath(file.path)) reason = 'generated';
+
+    if (reason) skipped.push({ path: file.path, reason });
+    else files.push(file);
+  }
+
+  files.sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions) || a.path.localeCompare(b.path));
+  for (const file of files.splice(maxFiles)) {
+    skipped.push({ path: file.path, reason: 'over review.max_files' });
+  }
+
+  return { base: baseRef, prefix: await github.getPathPrefix(), files, skipped };
+}
+
+/**
+ * Render a file's hunks for a prompt, each line led by its new-file line
+ * number (blank for removed lines), cut at `maxChars`.
+ */
+export function formatHunks(file, maxChars = REVIEW_DEFAULTS.maxDiffChars) {
+  const width = String(Math.max(...file.hunks.map(hunk => hunk.newStart + hunk.newLines))).length;
+  const out = [];
+  let chars = 0;
+
+  for (const hunk of file.hunks) {
+    const lines = [`@@ ${hunk.header}`.trimEnd()];
+    for (const line of hunk.lines) {
+      const number = line.newLine === null ? ''.padStart(width) : String(line.newLine).padStart(width);
+      lines.push(`${number} ${line.type} ${line.text}`);
+    }
+    const block = lines.join('\n');
+    if (chars + block.length > maxChars) {
+      // Part of one huge hunk beats none of it
+      if (out.length === 0) out.push(`${block.substring(0, block.lastIndexOf('\n', maxChars))}\n…`);
+      const hidden = file.hunks.length - out.length;
+      if (hidden > 0) out.push(`… ${hidden} more hunk${hidden === 1 ? '' : 's'} not shown`);
+      break;
+    }
+    out.push(block);
+    chars += block.length;
+  }
+
+  return out.join('\n');
+}
+
+/**
+ * New-file line numbers a review comment can be attached to: added and
+ * context lines inside the diff.
+ */
+export function commentableLines(file) {
+  const lines = new Set();
+  for (const hunk of file.hunks) {
+    for (const line of hunk.lines) {
+      if (line.newLine !== null) lines.add(line.newLine);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Keep well-formed findings and tie each to a line in the diff. A finding
+ * whose line is outside the diff keeps its place in the review body but gets
+ * no inline comment (`line: null`).
+ */
+export function normalizeFindings(findings = [], file) {
+  const lines = commentableLines(file);
+
+  return findings
+    .filter(finding => finding && finding.title)
+    .map(finding => {
+      const severity = SEVERITIES.includes(finding.severity) ? finding.severity : 'low';
+      const line = lines.has(finding.line) ? finding.line : null;
+      const endLine = line !== null && finding.end_line > line && lines.has(finding.end_line) ? finding.end_line : null;
+      return {
+        path: file.path,
+        line,
+        endLine,
+        severity,
+        title: finding.title,
+        body: finding.body || ''
+      };
+    });
+}
+
+function formatLocation(finding) {
+  if (finding.line === null) return `\`${finding.path}\``;
+  return `\`${finding.path}:${finding.line}${finding.endLine ? `-${finding.endLine}` : ''}\``;
+}
+
+function agentLabel(review) {
+  return `${review.emoji ? `${review.emoji} ` : ''}${review.name || review.agent}`;
+}
+
+/**
+ * Inline comments for GitHub's create-review API, one per finding with a
+ * line. Paths are made relative to the repository root.
+ */
+export function buildReviewComments(reviews, prefix = '') {
+  const comments = [];
+  for (const review of reviews) {
+    for (const finding of review.findings) {
+      if (finding.line === null) continue;
+      const comment = {
+        path: `${prefix}${finding.path}`,
+        line: finding.endLine || finding.line,
+        side: 'RIGHT',
+        body: `${SEVERITY_BADGES[finding.severity]} **${finding.title}** · ${agentLabel(review)}\n\n${finding.body}`.trim()
+      };
+      if (finding.endLine) {
+        comment.start_line = finding.line;
+        comment.start_side = 'RIGHT';
+      }
+      comments.push(comment);
+    }
+  }
+  return comments;
+}
+
+/**
+ * The review body: per-agent summaries and every finding, so nothing is lost
+ * when inline comments cannot be placed.
+ */
+export function formatReviewMarkdown(result) {
+  const lines = ['## 🤖 Consciousness Lab Review', ''];
+  lines.push(`Reviewed ${result.files.length} changed file${result.files.length === 1 ? '' : 's'} against \`${result.base}\`.`, '');
+
+  for (const review of result.reviews) {
+    lines.push(`### ${agentLabel(review)}`, '');
+    if (review.error) {
+      lines.push(`⚠️ Review failed: ${review.error}`, '');
+      continue;
+    }
+    if (review.findings.length === 0) {
+      lines.push('No findings.', '');
+      continue;
+    }
+    const ordered = [...review.findings].sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+    for (const finding of ordered) {
+      lines.push(`- ${SEVERITY_BADGES[finding.severity]} ${formatLocation(finding)} **${finding.title}**${finding.body ? ` — ${finding.body}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  if (result.skipped.length > 0) {
+    lines.push('<details><summary>Files not reviewed</summary>', '');
+    for (const { path, reason } of result.skipped) {
+      lines.push(`- \`${path}\` (${reason})`);
+    }
+    lines.push('', '</details>', '');
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,416 @@
+/**
+ * Repository Context
+ * The one view of the analyzed repository that every command and analyzer
+ * puts into its prompts: file tree, manifests, languages, README, entry
+ * points, CI and git history, fitted to a token budget
+ */
+
+import { readFile } from 'fs/promises';
+import { join, posix } from 'path';
+import { getRepoPath } from './config.js';
+import { listRepoFiles, resolveFileFilters } from './file-discovery.js';
+import { computeLanguageStats } from './language-stats.js';
+import { collectHistory } from './git-history.js';
+
+export const CONTEXT_DEFAULTS = {
+  // Budget for the serialized context, in estimated tokens
+  maxTokens: 4000
+};
+
+// Share of the budget the README excerpt and the manifests may take before
+// the file tree gets the rest
+const README_SHARE = 0.25;
+const MANIFEST_SHARE = 0.25;
+const MAX_LISTED_DEPENDENCIES = 15;
+
+/**
+ * Rough token count for budgeting: about four characters per token for
+ * English and code alike.
+ */
+export function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) || '';
+  return Math.ceil(text.length / 4);
+}
+
+export function resolveContextBudget(config = {}) {
+  return config.context?.max_tokens ?? CONTEXT_DEFAULTS.maxTokens;
+}
+
+function names(object) {
+  return object && typeof object === 'object' ? Object.keys(object) : [];
+}
+
+// Key/value lines of one `[section]` of a TOML file; enough for names and versions
+function tomlSection(text, section) {
+  const values = {};
+  let inSection = false;
+  for (const line of text.split('\n')) {
+    const header = line.match(/^\s*\[([^\]]+)\]\s*$/);
+    if (header) {
+      inSection = header[1].trim() === section;
+      continue;
+    }
+    const pair = inSection && line.match(/^\s*([\w.-]+)\s*=\s*(.*)$/);
+    if (pair) {
+      values[pair[1]] = pair[2].trim().replace(/^"(.*)"$/, '$1');
+    }
+  }
+  return values;
+}
+
+/**
+ * Readers for the manifests we recognise. Each returns whatever it can of
+ * `{ name, version, description, dependencies, scripts, entryPoints }`.
+ */
+const MANIFEST_READERS = {
+  'package.json': (text) => {
+    const pkg = JSON.parse(text);
+    const bins = typeof pkg.bin === 'string' ? [pkg.bin] : Object.values(pkg.bin || {});
+    const exports = typeof pkg.exports === 'string' ? [pkg.exports] : [];
+    return {
+      name: pkg.name,
+      version: pkg.version,
+      description: pkg.description,
+      dependencies: names(pkg.dependencies),
+      devDependencies: names(pkg.devDependencies),
+      scripts: names(pkg.scripts),
+      entryPoints: [pkg.main, pkg.module, ...exports, ...bins].filter(entry => typeof entry === 'string')
+    };
+  },
+  'composer.json': (text) => {
+    const composer = JSON.parse(text);
+    return { name: composer.name, description: composer.description, dependencies: names(composer.require) };
+  },
+  'go.mod': (text) => ({
+    name: text.match(/^module\s+(\S+)/m)?.[1],
+    version: text.match(/^go\s+(\S+)/m)?.[1],
+    dependencies: [...text.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w./-]+)\s+v[\w.+-]+/gm)].map(match => match[1])
+  }),
+  'Cargo.toml': (text) => {
+    const pkg = tomlSection(text, 'package');
+    return {
+      name: pkg.name,
+      version: pkg.version,
+      description: pkg.description,
+      dependencies: Object.keys(tomlSection(text, 'dependencies'))
+    };
+  },
+  'pyproject.toml': (text) => {
+    const project = { ...tomlSection(text, 'tool.poetry'), ...tomlSection(text, 'project') };
+    const dependencies = Object.keys(tomlSection(text, 'tool.poetry.dependencies'))
+      .filter(name => name !== 'python');
+    const listed = text.match(/^dependencies\s*=\s*\[([\s\S]*?)\]/m)?.[1] || '';
+    dependencies.push(...[...listed.matchAll(/"([A-Za-z0-9_.-]+)/g)].map(match => match[1]));
+    return { name: project.name, version: project.version, description: project.description, dependencies };
+  },
+  'requirements.txt': (text) => ({
+    dependencies: text.split('\n')
+      .map(line => line.trim().match(/^([A-Za-z0-9_.-]+)/)?.[1])
+      .filter(Boolean)
+  }),
+  'setup.py': (text) => ({
+    name: text.match(/name\s*=\s*['"]([^'"]+)/)?.[1],
+    version: text.match(/version\s*=\s*['"]([^'"]+)/)?.[1]
+  }),
+  'pom.xml': (text) => ({
+    name: text.match(/<artifactId>([^<]+)<\/artifactId>/)?.[1],
+    version: text.match(/<version>([^<]+)<\/version>/)?.[1],
+    dependencies: [...text.matchAll(/<dependency>[\s\S]*?<artifactId>([^<]+)<\/artifactId>/g)].map(match => match[1])
+  }),
+  'build.gradle': () => ({}),
+  'build.gradle.kts': () => ({}),
+  'Gemfile': (text) => ({
+    dependencies: [...text.matchAll(/^\s*gem\s+['"]([^'"]+)/gm)].map(match => match[1])
+  })
+};
+
+// Conventional entry points, checked against the discovered files
+const ENTRY_POINT_PATTERNS = [
+  /^(src\/)?(index|main|app|server|cli)\.(js|mjs|cjs|ts|tsx|py|go|rb|php)$/,
+  /^src\/(main|lib)\.rs$/,
+  /^cmd\/[^/]+\/main\.go$/,
+  /(^|\/)__main__\.py$/,
+  /^manage\.py$/,
+  /^src\/main\/java\/.*\/(Main|Application)\.java$/
+];
+
+const CI_PATTERNS = [
+  /^\.github\/workflows\/[^/]+\.ya?ml$/,
+  /^\.gitlab-ci\.yml$/,
+  /^\.circleci\/config\.yml$/,
+  /^\.travis\.yml$/,
+  /^azure-pipelines\.yml$/,
+  /^bitbucket-pipelines\.yml$/,
+  /^Jenkinsfile$/
+];
+
+const README_PATTERN = /^readme(\.(md|markdown|rst|txt))?$/i;
+
+// Workflow name, triggers and job ids of a GitHub Actions file, read by indentation
+function describeWorkflow(text) {
+  const name = text.match(/^name:\s*['"]?(.+?)['"]?\s*$/m)?.[1];
+  const inlineTriggers = text.match(/^on:\s*\[([^\]]*)\]/m)?.[1];
+  const singleTrigger = text.match(/^on:\s*([\w-]+)\s*$/m)?.[1];
+
+  const blockKeys = (key) => {
+    const block = text.match(new RegExp(`^${key}:\\s*\\n((?:[ \\t]+.*\\n?|\\s*\\n)*)`, 'm'))?.[1] || '';
+    return [...block.matchAll(/^ {2}([\w-]+):/gm)].map(match => match[1]);
+  };
+
+  const triggers = inlineTriggers
+    ? inlineTriggers.split(',').map(trigger => trigger.trim()).filter(Boolean)
+    : singleTrigger ? [singleTrigger] : blockKeys('on');
+
+  return { name, triggers, jobs: blockKeys('jobs') };
+}
+
+/**
+ * List files breadth first within a token budget. Directories below the
+ * deepest level that fits are collapsed into `dir/ (N files)` entries; if
+ * even the top level does not fit, the listing is cut with a count of what
+ * was left out.
+ *
+ * @param {string[]} files - Sorted repository-relative paths
+ * @param {number} maxTokens
+ * @returns {string[]}
+ */
+export function summarizeTree(files, maxTokens) {
+  if (files.length === 0 || maxTokens <= 0) return [];
+
+  const listing = (depth) => {
+    const entries = [];
+    const collapsed = new Map();
+    for (const file of files) {
+      const parts = file.split('/');
+      if (parts.length <= depth) {
+        entries.push(file);
+        continue;
+      }
+      const dir = `${parts.slice(0, depth).join('/')}/`;
+      if (!collapsed.has(dir)) {
+        collapsed.set(dir, 0);
+        entries.push(dir);
+      }
+      collapsed.set(dir, collapsed.get(dir) + 1);
+    }
+    return entries.map(entry => {
+      if (!collapsed.has(entry)) return entry;
+      const count = collapsed.get(entry);
+      return `${entry} (${count} file${count === 1 ? '' : 's'})`;
+    });
+  };
+
+  const deepest = files.reduce((max, file) => Math.max(max, file.split('/').length), 1);
+  for (let depth = deepest; depth >= 1; depth--) {
+    const entries = listing(depth);
+    if (estimateTokens(entries) <= maxTokens || depth === 1) {
+      if (estimateTokens(entries) <= maxTokens) return entries;
+
+      // Serialized, each entry costs its length plus quotes and a comma
+      const kept = [];
+      let chars = '["… 000000 more"]'.length;
+      for (const entry of entries) {
+        chars += JSON.stringify(entry).length + 1;
+        if (Math.ceil(chars / 4) > maxTokens) break;
+        kept.push(entry);
+      }
+      return [...kept, `… ${entries.length - kept.length} more`];
+    }
+  }
+  return [];
+}
+
+// Keep the start of a text, cut at a line break, within a character budget
+function excerpt(text, maxChars) {
+  const cleaned = text
+    .split('\n')
+    // Badges and HTML tags are noise in a prompt
+    .filter(line => !/^\s*(\[!\[|!\[|<img|<p align|<\/?(div|p|a)\b)/i.test(line))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (cleaned.length <= maxChars) return cleaned;
+  const cut = cleaned.lastIndexOf('\n', maxChars);
+  return `${cleaned.substring(0, cut > maxChars / 2 ? cut : maxChars).trim()}\n…`;
+}
+
+export class RepoContextProvider {
+  /**
+   * @param {string} [repoPath] - The analyzed repository
+   * @param {object} [options] - `config` (repository config, for file globs
+   *   and the budget) and `maxTokens` (overrides `context.max_tokens`)
+   */
+  constructor(repoPath = getRepoPath(), options = {}) {
+    this.repoPath = repoPath;
+    this.config = options.config || {};
+    this.maxTokens = options.maxTokens ?? resolveContextBudget(this.config);
+    this.files = null;
+    this.languageStats = null;
+    this.history = undefined;
+    this.gathered = null;
+  }
+
+  /**
+   * Every analyzable file, from file discovery; listed once per provider.
+   */
+  async listFiles() {
+    if (!this.files) {
+      this.files = await listRepoFiles(this.repoPath, resolveFileFilters(this.config));
+    }
+    return this.files;
+  }
+
+  /**
+   * Measured per-language file and line counts; computed once per provider.
+   */
+  async getLanguageStats() {
+    if (!this.languageStats) {
+      this.languageStats = await computeLanguageStats(this.repoPath, await this.listFiles());
+    }
+    return this.languageStats;
+  }
+
+  /**
+   * Churn, coupling, hotspots and ownership from git history; computed once
+   * per provider. Null when the repository has no readable history.
+   */
+  async getHistory() {
+    if (this.history === undefined) {
+      this.history = await collectHistory(this.repoPath, { files: await this.listFiles(), config: this.config });
+    }
+    return this.history;
+  }
+
+  async readText(path) {
+    try {
+      return await readFile(join(this.repoPath, path), 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Everything known about the repository, before any budgeting.
+   */
+  async gather() {
+    if (this.gathered) return this.gathered;
+
+    const files = await this.listFiles();
+    const fileSet = new Set(files);
+
+    // Shallowest first, so the root manifest describes the project
+    const manifests = [];
+    const manifestFiles = files
+      .filter(file => MANIFEST_READERS[posix.basename(file)])
+      .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+    for (const path of manifestFiles) {
+      const text = await this.readText(path);
+      if (text === null) continue;
+      try {
+        manifests.push({ path, type: posix.basename(path), ...MANIFEST_READERS[posix.basename(path)](text) });
+      } catch (error) {
+        manifests.push({ path, type: posix.basename(path), error: `Could not parse: ${error.message}` });
+      }
+    }
+
+    const entryPoints = new Set(files.filter(file => ENTRY_POINT_PATTERNS.some(pattern => pattern.test(file))));
+    for (const manifest of manifests) {
+      const dir = posix.dirname(manifest.path);
+      for (const entry of manifest.entryPoints || []) {
+        const path = posix.normalize(posix.join(dir, entry));
+        if (fileSet.has(path)) entryPoints.add(path);
+      }
+      delete manifest.entryPoints;
+    }
+
+    const ci = [];
+    for (const path of files.filter(file => CI_PATTERNS.some(pattern => pattern.test(file)))) {
+      const text = path.startsWith('.github/workflows/') ? await this.readText(path) : null;
+      ci.push(text ? { path, ...describeWorkflow(text) } : { path });
+    }
+
+    const languageStats = await this.getLanguageStats();
+    const history = await this.getHistory();
+
+    const readmePath = files.find(file => !file.includes('/') && README_PATTERN.test(file)) || null;
+
+    const primary = manifests.find(manifest => manifest.name) || {};
+    this.gathered = {
+      name: primary.name || posix.basename(this.repoPath),
+      description: primary.description || null,
+      languages: languageStats.languages,
+      lines: languageStats.totals,
+      entryPoints: [...entryPoints].sort(),
+      manifests,
+      ci,
+      history,
+      readme: readmePath ? { path: readmePath, text: await this.readText(readmePath) || '' } : null,
+      files
+    };
+    return this.gathered;
+  }
+
+  /**
+   * The repository context for a prompt, fitted to `maxTokens`. Small,
+   * high-signal sections (name, languages, entry points, CI, history) are
+   * kept whole; dependency lists are capped, the README is excerpted, and
+   * the file tree gets whatever budget is left.
+   */
+  async getContext(maxTokens = this.maxTokens) {
+    const full = await this.gather();
+
+    const context = {
+      name: full.name,
+      description: full.description,
+      languages: full.languages,
+      entryPoints: full.entryPoints,
+      ci: full.ci,
+      history: full.history,
+      manifests: full.manifests,
+      readme: null,
+      files: [],
+      stats: {
+        totalFiles: full.files.length,
+        totalLines: full.lines.lines,
+        codeLines: full.lines.code,
+        commentLines: full.lines.comment,
+        blankLines: full.lines.blank,
+        listedFiles: 0,
+        truncated: false
+      }
+    };
+
+    if (estimateTokens(context.manifests) > maxTokens * MANIFEST_SHARE) {
+      context.manifests = full.manifests.map(manifest => {
+        const capped = { ...manifest };
+        for (const key of ['dependencies', 'devDependencies']) {
+          if (capped[key]?.length > MAX_LISTED_DEPENDENCIES) {
+            capped[key] = [...capped[key].slice(0, MAX_LISTED_DEPENDENCIES), `+${capped[key].length - MAX_LISTED_DEPENDENCIES} more`];
+          }
+        }
+        return capped;
+      });
+      // Monorepos: keep the shallowest manifests that fit
+      while (context.manifests.length > 1 && estimateTokens(context.manifests) > maxTokens * MANIFEST_SHARE) {
+        context.manifests.pop();
+      }
+      context.stats.truncated = true;
+    }
+
+    if (full.readme) {
+      const remaining = maxTokens - estimateTokens(context);
+      const readmeTokens = Math.max(0, Math.min(maxTokens * README_SHARE, remaining / 2));
+      const text = excerpt(full.readme.text, Math.floor(readmeTokens * 4));
+      context.readme = { path: full.readme.path, excerpt: text };
+      if (text !== excerpt(full.readme.text, Infinity)) context.stats.truncated = true;
+    }
+
+    context.files = summarizeTree(full.files, maxTokens - estimateTokens(context));
+    const fileSet = new Set(full.files);
+    context.stats.listedFiles = context.files.filter(entry => fileSet.has(entry)).length;
+    if (context.stats.listedFiles < full.files.length) context.stats.truncated = true;
+
+    return context;
+  }
+}
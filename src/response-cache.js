@@ -0,0 +1,87 @@
+/**
+ * Response Cache
+ * Content-addressed record/replay store for LLM responses
+ */
+
+import { readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join, isAbsolute } from 'path';
+import { existsSync } from 'fs';
+import { writeJSONAtomic } from './file-store.js';
+
+export const CACHE_MODES = ['passthrough', 'record', 'replay'];
+
+/**
+ * Entries are stored one per file under a two-character fan-out directory,
+ * pretty-printed so a cache directory can be committed and reviewed as test
+ * fixtures.
+ */
+export class ResponseCache {
+  constructor(config = {}) {
+    this.mode = config.mode || 'passthrough';
+    if (!CACHE_MODES.includes(this.mode)) {
+      throw new Error(`Unknown cache mode '${this.mode}'. Available: ${CACHE_MODES.join(', ')}`);
+    }
+
+    const workspace = process.env.GITHUB_WORKSPACE || process.cwd();
+    const cacheDir = config.cacheDir || '.llm-cache';
+    this.cacheDir = isAbsolute(cacheDir) ? cacheDir : join(workspace, cacheDir);
+  }
+
+  get isEnabled() {
+    return this.mode !== 'passthrough';
+  }
+
+  getKey(provider, request) {
+    const material = JSON.stringify({
+      provider,
+      model: request.model,
+      messages: request.messages,
+      options: {
+        temperature: request.temperature,
+        maxTokens: request.maxTokens,
+        jsonMode: request.jsonMode || undefined
+      }
+    });
+    return createHash('sha256').update(material).digest('hex');
+  }
+
+  getEntryPath(key) {
+    return join(this.cacheDir, key.slice(0, 2), `${key}.json`);
+  }
+
+  async get(key) {
+    const entryPath = this.getEntryPath(key);
+    if (!existsSync(entryPath)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(await readFile(entryPath, 'utf8'));
+      return entry.response;
+    } catch (error) {
+      console.warn(`Ignoring unreadable cache entry ${entryPath}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, provider, request, response) {
+    const entryPath = this.getEntryPath(key);
+
+    const entry = {
+      key,
+      provider,
+      model: request.model,
+      request: {
+        messages: request.messages,
+        temperature: request.temperature,
+        maxTokens: request.maxTokens
+      },
+      response,
+      recordedAt: new Date().toISOString()
+    };
+
+    await writeJSONAtomic(entryPath, entry);
+    return entryPath;
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Retry Policy
+ * Exponential backoff with jitter and a circuit breaker for upstream LLM calls
+ */
+
+import { CircuitOpenError } from './llm-errors.js';
+
+const RETRYABLE_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.has(status);
+}
+
+/**
+ * Parse a Retry-After header, which is either a number of seconds or an
+ * HTTP date. Returns milliseconds, or null when absent or unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - now);
+  }
+
+  return null;
+}
+
+export class RetryPolicy {
+  constructor(config = {}) {
+    this.maxRetries = config.maxRetries ?? 3;
+    this.baseDelayMs = config.baseDelayMs ?? 1000;
+    this.maxDelayMs = config.maxDelayMs ?? 30000;
+    this.maxRetryAfterMs = config.maxRetryAfterMs ?? 120000;
+    this.random = config.random || Math.random;
+  }
+
+  shouldRetry(error, attempt) {
+    return attempt < this.maxRetries && Boolean(error && error.retryable);
+  }
+
+  /**
+   * Delay before retry number `attempt` (0-based). Uses "equal jitter" over an
+   * exponentially growing window, but never waits less than the server asked.
+   */
+  getDelay(attempt, retryAfterMs = null) {
+    const window = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    const backoff = Math.round(window / 2 + this.random() * (window / 2));
+
+    if (retryAfterMs !== null && retryAfterMs !== undefined) {
+      return Math.min(this.maxRetryAfterMs, Math.max(backoff, retryAfterMs));
+    }
+    return backoff;
+  }
+}
+
+/**
+ * Counts consecutive failed calls. Once `failureThreshold` is reached the
+ * breaker opens and stays open for the remainder of the run.
+ */
+export class CircuitBreaker {
+  constructor(config = {}) {
+    this.failureThreshold = config.failureThreshold ?? 5;
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+  }
+
+  get isOpen() {
+    return this.failureThreshold > 0 && this.consecutiveFailures >= this.failureThreshold;
+  }
+
+  assertClosed() {
+    if (this.isOpen) {
+      throw new CircuitOpenError(
+        `LLM circuit breaker open after ${this.consecutiveFailures} consecutive failures ` +
+        `(last: ${this.lastError?.message || 'unknown'})`
+      );
+    }
+  }
+
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.consecutiveFailures++;
+    this.lastError = error;
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Source Chunker
+ * Splits large source files along structural boundaries (functions,
+ * classes, top-level blocks) so each piece fits one analysis prompt
+ */
+
+import { DEEP_DIVE_DEFAULTS } from './deep-dive-settings.js';
+
+// Lines that close a block rather than open one: `}`, `});`, `end`, `)`
+const CLOSER = /^(\}|\)|\]|end\b|fi\b|done\b|esac\b)/;
+
+function isTopLevel(line) {
+  return line.length > 0 && !/^\s/.test(line) && !CLOSER.test(line);
+}
+
+/**
+ * Split lines into top-level segments. A segment starts at an unindented
+ * line that follows a blank line or a block's closing line, so a leading
+ * comment or decorator stays with the declaration it belongs to.
+ */
+function topLevelSegments(lines) {
+  const starts = [0];
+  let previous = '';
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (i > 0 && isTopLevel(line) && (previous.trim() === '' || CLOSER.test(previous))) {
+      starts.push(i);
+    }
+    previous = line;
+  }
+  return starts.map((start, index) => [start, index + 1 < starts.length ? starts[index + 1] : lines.length]);
+}
+
+/**
+ * Split a range of lines that is too big on its own: at blank lines first,
+ * so methods and paragraphs stay whole, then at plain line boundaries.
+ */
+function splitOversized(lines, start, end, maxChars) {
+  const pieces = [];
+  let pieceStart = start;
+  let chars = 0;
+  let lastBlank = -1;
+
+  for (let i = start; i < end; i++) {
+    const size = lines[i].length + 1;
+    if (chars + size > maxChars && i > pieceStart) {
+      const cut = lastBlank > pieceStart ? lastBlank + 1 : i;
+      pieces.push([pieceStart, cut]);
+      pieceStart = cut;
+      chars = lines.slice(cut, i).reduce((sum, line) => sum + line.length + 1, 0);
+      lastBlank = -1;
+    }
+    chars += size;
+    if (lines[i].trim() === '') lastBlank = i;
+  }
+  pieces.push([pieceStart, end]);
+  return pieces;
+}
+
+// What a chunk starts with, for prompts and coverage: its first line of code
+function labelOf(lines, start, end) {
+  for (let i = start; i < end; i++) {
+    const line = lines[i].trim();
+    if (line && !/^(\/\/|\/\*|\*|#|--|@)/.test(line)) {
+      return line.length > 80 ? `${line.substring(0, 77)}...` : line;
+    }
+  }
+  return lines[start]?.trim().substring(0, 80) || '';
+}
+
+/**
+ * Split source text into chunks of at most `maxChars`, packing whole
+ * top-level segments together where they fit. A text that fits is one chunk.
+ *
+ * @returns {Array<{ index: number, startLine: number, endLine: number, label: string, text: string,
+ *   part?: { index: number, count: number } }>} Line numbers are 1-based and inclusive; `part`
+ *   marks one of several pieces of lines too long to fit a chunk
+ */
+export function chunkSource(text, { maxChars = DEEP_DIVE_DEFAULTS.chunkChars } = {}) {
+  const lines = text.split('\n');
+  if (text.length <= maxChars) {
+    return [{ index: 0, startLine: 1, endLine: lines.length, label: labelOf(lines, 0, lines.length), text }];
+  }
+
+  // Characters before each line, so any range's size is one subtraction
+  const offsets = [0];
+  for (const line of lines) offsets.push(offsets[offsets.length - 1] + line.length + 1);
+  const size = (start, end) => offsets[end] - offsets[start];
+
+  const ranges = [];
+  for (const [start, end] of topLevelSegments(lines)) {
+    if (size(start, end) > maxChars) {
+      ranges.push(...splitOversized(lines, start, end, maxChars));
+    } else {
+      ranges.push([start, end]);
+    }
+  }
+
+  // Pack neighbouring segments into chunks up to the limit
+  const packed = [];
+  for (const [start, end] of ranges) {
+    const last = packed[packed.length - 1];
+    if (last && size(last[0], end) <= maxChars) {
+      last[1] = end;
+    } else {
+      packed.push([start, end]);
+    }
+  }
+
+  const chunks = [];
+  for (const [start, end] of packed) {
+    const label = labelOf(lines, start, end);
+    const chunkText = lines.slice(start, end).join('\n');
+    if (chunkText.length <= maxChars) {
+      chunks.push({ startLine: start + 1, endLine: end, label, text: chunkText });
+      continue;
+    }
+
+    // Only lines longer than a chunk (minified code, data literals) get
+    // here; they are cut into pieces rather than truncated later
+    const count = Math.ceil(chunkText.length / maxChars);
+    for (let i = 0; i < count; i++) {
+      chunks.push({
+        startLine: start + 1,
+        endLine: end,
+        label: `${label} (piece ${i + 1}/${count})`,
+        part: { index: i + 1, count },
+        text: chunkText.substring(i * maxChars, (i + 1) * maxChars)
+      });
+    }
+  }
+
+  return chunks.map((chunk, index) => ({ index, ...chunk }));
+}
@@ -0,0 +1,333 @@
+/**
+ * State Schema
+ * Versioned shape of `.agent-states/<agent>.json` and the migrations that
+ * upgrade older files to it
+ */
+
+import { validateSchema } from './json-schema.js';
+import { KnowledgeGraph } from './knowledge-graph.js';
+
+export const STATE_VERSION = '1.3.0';
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// A consolidated entity or insight: how often and since when it was observed
+function observed(field) {
+  return {
+    type: 'object',
+    required: [field, 'count', 'firstSeen', 'lastSeen'],
+    properties: {
+      [field]: { type: 'string' },
+      count: { type: 'integer', minimum: 1 },
+      firstSeen: { type: 'integer' },
+      lastSeen: { type: 'integer' }
+    }
+  };
+}
+
+export const AGENT_STATE_SCHEMA = {
+  type: 'object',
+  required: ['agent', 'knowledge', 'understanding', 'evolution', 'metadata'],
+  properties: {
+    agent: {
+      type: 'object',
+      required: ['id', 'name', 'level', 'levelName', 'evolved'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        name: { type: 'string' },
+        level: { type: 'integer' },
+        levelName: { type: 'string' },
+        focus: stringList,
+        evolved: { type: 'boolean' },
+        evolvedAt: { type: ['integer', 'null'] }
+      }
+    },
+    knowledge: {
+      type: 'object',
+      required: ['entities', 'graph', 'understanding'],
+      properties: {
+        entities: { type: 'object', additionalProperties: { type: 'array', items: observed('name') } },
+        graph: {
+          type: 'object',
+          required: ['nodes', 'edges'],
+          properties: {
+            nodes: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['id', 'name', 'type'],
+                properties: { id: { type: 'string' }, name: { type: 'string' }, type: { type: 'string' } }
+              }
+            },
+            edges: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['from', 'type', 'to', 'count', 'firstSeen', 'lastSeen', 'sources'],
+                properties: {
+                  from: { type: 'string' },
+                  type: { type: 'string' },
+                  to: { type: 'string' },
+                  count: { type: 'integer', minimum: 1 },
+                  firstSeen: { type: 'integer' },
+                  lastSeen: { type: 'integer' },
+                  sources: { type: 'array', items: { type: 'object', required: ['kind'] } }
+                }
+              }
+            }
+          }
+        },
+        understanding: {
+          type: 'object',
+          required: ['confidence_level'],
+          properties: {
+            confidence_level: { type: 'number', minimum: 0, maximum: 100 },
+            key_insights: { type: 'array' },
+            assumptions: { type: 'array' }
+          }
+        }
+      }
+    },
+    context: { type: 'object' },
+    understanding: {
+      type: 'object',
+      required: ['insights'],
+      properties: {
+        insights: {
+          type: 'array',
+          items: observed('text')
+        },
+        questions: { type: 'array' },
+        observations: { type: 'array' }
+      }
+    },
+    evolution: {
+      type: 'object',
+      required: ['transformations', 'learningHistory'],
+      properties: {
+        transformations: {
+          type: 'array',
+          items: { type: 'object', required: ['type', 'timestamp'] }
+        },
+        learningHistory: {
+          type: 'array',
+          items: { type: 'object', required: ['run', 'timestamp'] }
+        }
+      }
+    },
+    metadata: {
+      type: 'object',
+      required: ['created', 'lastModified', 'version'],
+      properties: {
+        created: { type: 'integer' },
+        lastModified: { type: 'integer' },
+        version: { type: 'string', pattern: '^\\d+\\.\\d+\\.\\d+$' }
+      }
+    }
+  }
+};
+
+// Hand-edited and older files sometimes hold a single value where a list
+// belongs; wrap it, and drop empty entries, instead of failing on it
+function asList(values) {
+  return (Array.isArray(values) ? values : [values]).filter(value => value != null);
+}
+
+// A part of the state a migration reads into must be an object; anything
+// else is reported like a validation error, naming the field
+function expectObject(value, path) {
+  const errors = validateSchema(value, { type: 'object' }, path);
+  if (errors.length > 0) {
+    throw new Error(`Invalid agent state:\n  ${errors.join('\n  ')}`);
+  }
+  return value;
+}
+
+function entityName(value) {
+  if (typeof value === 'string') return value;
+  return typeof value?.name === 'string' ? value.name : JSON.stringify(value);
+}
+
+/**
+ * Ordered upgrade steps. Each takes a state at `from` and returns it at `to`;
+ * add a step (and bump STATE_VERSION) whenever the shape changes.
+ */
+export const MIGRATIONS = [
+  {
+    // Before run output and state were split, the action wrote bin/run-agent.js
+    // output to the state path; agent branches still carry those files
+    from: '0.0.0',
+    to: '1.0.0',
+    migrate(output, agentId) {
+      const timestamp = output.timestamp || Date.now();
+      return {
+        agent: {
+          id: output.agent || agentId,
+          name: output.name || agentId,
+          level: output.level || 1,
+          levelName: output.levelName || '',
+          focus: [],
+          evolved: false
+        },
+        knowledge: {
+          entities: {
+            components: [],
+            patterns: [],
+            concepts: [],
+            relationships: [],
+            ...expectObject(output.entities ?? {}, '$.entities')
+          },
+          understanding: {
+            confidence_level: output.confidence || 0,
+            key_insights: [],
+            assumptions: []
+          }
+        },
+        context: {
+          repository: null,
+          lastAnalyzed: timestamp
+        },
+        understanding: {
+          insights: asList(output.insights).map(text => ({ text, timestamp })),
+          questions: [],
+          observations: []
+        },
+        evolution: {
+          transformations: [],
+          learningHistory: []
+        },
+        metadata: {
+          created: timestamp,
+          lastModified: timestamp,
+          version: '1.0.0'
+        }
+      };
+    }
+  },
+  {
+    // Evolution tracking: evolvedAt and numbered learning-history runs
+    from: '1.0.0',
+    to: '1.1.0',
+    migrate(state) {
+      const evolution = state.evolution || {};
+      return {
+        ...state,
+        agent: { evolvedAt: null, ...state.agent },
+        evolution: {
+          transformations: evolution.transformations || [],
+          learningHistory: asList(evolution.learningHistory).map((entry, index) => ({
+            run: index + 1,
+            timestamp: state.metadata.lastModified,
+            ...entry
+          }))
+        },
+        metadata: { ...state.metadata, version: '1.1.0' }
+      };
+    }
+  },
+  {
+    // Knowledge consolidation: entities and insights carry observation counts
+    from: '1.1.0',
+    to: '1.2.0',
+    migrate(state) {
+      const seen = state.metadata.lastModified;
+      const entities = expectObject(expectObject(state.knowledge, '$.knowledge').entities, '$.knowledge.entities');
+      const understanding = expectObject(state.understanding, '$.understanding');
+      const observe = (entry, field) => {
+        const item = typeof entry === 'string' ? { [field]: entry } : entry;
+        const first = item.timestamp || seen;
+        return { count: 1, firstSeen: first, lastSeen: first, ...item };
+      };
+
+      return {
+        ...state,
+        knowledge: {
+          ...state.knowledge,
+          entities: Object.fromEntries(
+            Object.entries(entities).map(([type, values]) => [
+              type,
+              asList(values).map(value => observe(entityName(value), 'name'))
+            ])
+          )
+        },
+        understanding: {
+          ...understanding,
+          insights: asList(understanding.insights).map(insight => observe(insight, 'text'))
+        },
+        metadata: { ...state.metadata, version: '1.2.0' }
+      };
+    }
+  },
+  {
+    // Knowledge graph: loose relationship strings become typed edges
+    from: '1.2.0',
+    to: '1.3.0',
+    migrate(state) {
+      const { relationships, ...byType } = expectObject(
+        expectObject(state.knowledge, '$.knowledge').entities, '$.knowledge.entities'
+      );
+      const entities = Object.fromEntries(
+        Object.entries(byType).map(([type, values]) => [type, asList(values)])
+      );
+      const graph = new KnowledgeGraph();
+      graph.addEntities(Object.fromEntries(
+        Object.entries(entities).map(([type, values]) => [type, values.map(entityName)])
+      ));
+      graph.addRelationships(asList(relationships).map(entityName), { kind: 'migration' }, state.metadata.lastModified);
+
+      return {
+        ...state,
+        knowledge: { ...state.knowledge, entities, graph: graph.toJSON() },
+        metadata: { ...state.metadata, version: '1.3.0' }
+      };
+    }
+  }
+];
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+// Run output has a string `agent` and no metadata; treat it as the pre-1.0 shape
+export function getStateVersion(raw) {
+  if (typeof raw?.agent === 'string' || !raw?.metadata?.version) return '0.0.0';
+  return raw.metadata.version;
+}
+
+/**
+ * Upgrade a parsed state file to STATE_VERSION and validate the result.
+ *
+ * @returns {{ state: object, fromVersion: string, migrated: boolean }}
+ * @throws {Error} When the file is from a newer release, no migration path
+ *   exists, or the upgraded state does not match AGENT_STATE_SCHEMA
+ */
+export function migrateState(raw, agentId) {
+  const fromVersion = getStateVersion(raw);
+
+  if (compareVersions(fromVersion, STATE_VERSION) > 0) {
+    throw new Error(`State version ${fromVersion} is newer than supported ${STATE_VERSION}; upgrade the action`);
+  }
+
+  let state = raw;
+  let version = fromVersion;
+  while (version !== STATE_VERSION) {
+    const step = MIGRATIONS.find(migration => migration.from === version);
+    if (!step) {
+      throw new Error(`No migration from state version ${version}`);
+    }
+    state = step.migrate(state, agentId);
+    version = step.to;
+  }
+
+  const errors = validateSchema(state, AGENT_STATE_SCHEMA);
+  if (errors.length > 0) {
+    throw new Error(`Invalid agent state:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { state, fromVersion, migrated: fromVersion !== STATE_VERSION };
+}
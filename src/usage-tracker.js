@@ -0,0 +1,212 @@
+/**
+ * Usage Tracker
+ * Token and cost accounting per agent, phase and model, with a hard budget
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { BudgetExceededError } from './llm-errors.js';
+import { writeJSONAtomic } from './file-store.js';
+
+/**
+ * USD per million tokens, keyed by OpenRouter id. A model is matched by its
+ * exact id first, then with any `vendor/` prefix removed from both sides,
+ * so a direct id like `gpt-4o-mini` finds the `openai/gpt-4o-mini` row.
+ */
+export const MODEL_PRICES = {
+  'anthropic/claude-3.5-sonnet': { prompt: 3, completion: 15 },
+  'anthropic/claude-3.7-sonnet': { prompt: 3, completion: 15 },
+  'anthropic/claude-sonnet-4': { prompt: 3, completion: 15 },
+  'anthropic/claude-3.5-haiku': { prompt: 0.8, completion: 4 },
+  'anthropic/claude-haiku-4.5': { prompt: 1, completion: 5 },
+  'anthropic/claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'anthropic/claude-3-opus': { prompt: 15, completion: 75 },
+  'claude-3-5-sonnet-latest': { prompt: 3, completion: 15 },
+  'claude-3-5-haiku-latest': { prompt: 0.8, completion: 4 },
+  'openai/gpt-4o': { prompt: 2.5, completion: 10 },
+  'openai/gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'openai/gpt-4.1': { prompt: 2, completion: 8 },
+  'openai/gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'google/gemini-2.0-flash-001': { prompt: 0.1, completion: 0.4 }
+};
+
+function withoutVendor(model) {
+  return model.split('/').pop();
+}
+
+// Self-hosted backends cost nothing per token
+const LOCAL_PROVIDERS = new Set(['ollama']);
+
+function emptyBucket() {
+  return {
+    calls: 0,
+    cachedCalls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    total_tokens: 0,
+    cost_usd: 0
+  };
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+export class UsageTracker {
+  /**
+   * @param {object} config
+   * @param {string} [config.reportPath] - JSON file shared by every process of a run
+   * @param {object} [config.prices] - Overrides merged over MODEL_PRICES
+   * @param {number} [config.maxCostUsd] - Hard cost budget for the whole run
+   * @param {number} [config.maxTokens] - Hard token budget for the whole run
+   */
+  constructor(config = {}) {
+    this.reportPath = config.reportPath || null;
+    this.prices = { ...MODEL_PRICES, ...(config.prices || {}) };
+    // The same rows keyed without their vendor prefix
+    this.pricesById = {};
+    for (const [model, price] of Object.entries(this.prices)) {
+      this.pricesById[withoutVendor(model)] = price;
+    }
+    this.budget = {
+      maxCostUsd: config.maxCostUsd || null,
+      maxTokens: config.maxTokens || null
+    };
+    this.saving = Promise.resolve();
+    this.reset();
+    this.loadExisting();
+  }
+
+  reset() {
+    this.totals = emptyBucket();
+    this.byAgent = {};
+    this.byPhase = {};
+    this.byModel = {};
+    this.unpricedModels = [];
+  }
+
+  // The action runs each phase as its own process, so pick up whatever the
+  // earlier phases already spent before enforcing the budget
+  loadExisting() {
+    if (!this.reportPath || !existsSync(this.reportPath)) return;
+
+    try {
+      const report = JSON.parse(readFileSync(this.reportPath, 'utf8'));
+      this.totals = { ...emptyBucket(), ...report.totals };
+      this.byAgent = report.byAgent || {};
+      this.byPhase = report.byPhase || {};
+      this.byModel = report.byModel || {};
+      this.unpricedModels = report.unpricedModels || [];
+    } catch (error) {
+      console.warn(`Could not read usage report ${this.reportPath}:`, error.message);
+    }
+  }
+
+  getPrice(model) {
+    if (!model) return null;
+    return this.prices[model] || this.pricesById[withoutVendor(model)] || null;
+  }
+
+  estimateCost(provider, model, usage) {
+    if (LOCAL_PROVIDERS.has(provider)) return 0;
+
+    const price = this.getPrice(model);
+    if (!price) return null;
+
+    return (usage.prompt_tokens * price.prompt + usage.completion_tokens * price.completion) / 1e6;
+  }
+
+  checkBudget() {
+    const { maxCostUsd, maxTokens } = this.budget;
+
+    if (maxCostUsd && this.totals.cost_usd >= maxCostUsd) {
+      throw new BudgetExceededError(
+        `LLM budget exhausted: $${this.totals.cost_usd.toFixed(4)} spent of $${maxCostUsd} allowed`
+      );
+    }
+    if (maxTokens && this.totals.total_tokens >= maxTokens) {
+      throw new BudgetExceededError(
+        `LLM token budget exhausted: ${this.totals.total_tokens} used of ${maxTokens} allowed`
+      );
+    }
+  }
+
+  record({ provider, model, usage, agent, phase, cached = false }) {
+    const tokens = {
+      prompt_tokens: usage?.prompt_tokens || 0,
+      completion_tokens: usage?.completion_tokens || 0,
+      total_tokens: usage?.total_tokens || 0
+    };
+
+    // Replayed responses cost nothing and do not count against the budget
+    let cost = 0;
+    if (!cached) {
+      cost = this.estimateCost(provider, model, tokens);
+      if (cost === null) {
+        cost = 0;
+        if (!this.unpricedModels.includes(model)) {
+          this.unpricedModels.push(model);
+        }
+      }
+    }
+
+    const buckets = [
+      this.totals,
+      this.bucket(this.byAgent, agent || 'unattributed'),
+      this.bucket(this.byPhase, phase || 'unattributed'),
+      this.bucket(this.byModel, model || 'unknown')
+    ];
+
+    for (const bucket of buckets) {
+      if (cached) {
+        bucket.cachedCalls++;
+        continue;
+      }
+      bucket.calls++;
+      bucket.prompt_tokens += tokens.prompt_tokens;
+      bucket.completion_tokens += tokens.completion_tokens;
+      bucket.total_tokens += tokens.total_tokens;
+      bucket.cost_usd = roundCost(bucket.cost_usd + cost);
+    }
+
+    if (this.reportPath) {
+      this.saving = this.saving
+        .then(() => this.save())
+        .catch(error => console.warn('Could not write usage report:', error.message));
+    }
+  }
+
+  bucket(group, key) {
+    if (!group[key]) {
+      group[key] = emptyBucket();
+    }
+    return group[key];
+  }
+
+  getReport() {
+    const { maxCostUsd, maxTokens } = this.budget;
+    return {
+      totals: this.totals,
+      byAgent: this.byAgent,
+      byPhase: this.byPhase,
+      byModel: this.byModel,
+      unpricedModels: this.unpricedModels,
+      budget: {
+        maxCostUsd,
+        maxTokens,
+        exceeded: Boolean(
+          (maxCostUsd && this.totals.cost_usd >= maxCostUsd) ||
+          (maxTokens && this.totals.total_tokens >= maxTokens)
+        )
+      },
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  async save() {
+    await writeJSONAtomic(this.reportPath, this.getReport());
+  }
+
+  async flush() {
+    await this.saving;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Workflow
+ * Runs agents in the character file's workflow order, feeding each level's
+ * findings into the levels after it
+ */
+
+import { isFatalLLMError } from './llm-errors.js';
+
+// Keeps the prior-findings section of a prompt bounded as levels pile up
+const MAX_PRIOR_INSIGHTS = 5;
+const MAX_PRIOR_ENTITIES = 10;
+
+/**
+ * Split the selected agents into stages. `workflow.order` comes first and any
+ * characters it does not name follow by level. Sequential workflows get one
+ * agent per stage; with `parallel: true`, agents at the same level do not
+ * depend on each other and share a stage.
+ *
+ * @param {import('./character-system.js').CharacterSystem} characterSystem
+ * @param {string[]} [agents] - Subset to run; defaults to every character
+ * @returns {string[][]} Stages in run order
+ */
+export function planWorkflow(characterSystem, agents = null) {
+  const workflow = characterSystem.getWorkflow();
+  const selected = agents || characterSystem.getCharacterIds();
+
+  // Fail on typos before any model call is made
+  selected.forEach(id => characterSystem.getCharacter(id));
+
+  const rest = characterSystem.getAllCharacters()
+    .filter(c => !workflow.order.includes(c.id))
+    .sort((a, b) => a.level - b.level)
+    .map(c => c.id);
+
+  const ordered = [...workflow.order, ...rest].filter(id => selected.includes(id));
+
+  if (!workflow.parallel) {
+    return ordered.map(id => [id]);
+  }
+
+  const stagesByLevel = new Map();
+  for (const id of ordered) {
+    const level = characterSystem.getCharacter(id).level;
+    if (!stagesByLevel.has(level)) {
+      stagesByLevel.set(level, []);
+    }
+    stagesByLevel.get(level).push(id);
+  }
+  return [...stagesByLevel.values()];
+}
+
+/**
+ * Run every stage in turn, and the agents within a stage concurrently.
+ * `runStep(agentId, previous)` receives the outputs of all earlier stages and
+ * must resolve to an output with at least `summary`. A fatal LLM error lets
+ * the current stage finish and skips the remaining ones.
+ *
+ * @returns {Promise<{ results: object, aborted: boolean }>} Per-agent
+ *   `{ success, output }` or `{ success: false, error }`
+ */
+export async function runWorkflow(stages, runStep) {
+  const results = {};
+  const previous = [];
+  let aborted = false;
+
+  for (const stage of stages) {
+    const settled = await Promise.allSettled(stage.map(agentId => runStep(agentId, [...previous])));
+
+    settled.forEach((outcome, index) => {
+      const agentId = stage[index];
+      if (outcome.status === 'fulfilled') {
+        results[agentId] = { success: true, output: outcome.value };
+        previous.push({ agent: agentId, ...outcome.value });
+        return;
+      }
+
+      console.error(`✗ ${agentId} failed:`, outcome.reason.message);
+      results[agentId] = { success: false, error: outcome.reason };
+      if (isFatalLLMError(outcome.reason)) {
+        aborted = true;
+      }
+    });
+
+    if (aborted) {
+      console.error('Stopping workflow: remaining agents skipped');
+      break;
+    }
+  }
+
+  return { results, aborted };
+}
+
+/**
+ * Render earlier levels' findings as a prompt section. Returns an empty
+ * string for the first level so prompts stay unchanged.
+ *
+ * @param {Array<{ agent: string, name?: string, level?: number, levelName?: string, summary?: string, insights?: string[], entities?: object }>} previous
+ */
+export function formatPriorFindings(previous = []) {
+  if (previous.length === 0) return '';
+
+  const sections = previous.map(output => {
+    const lines = [`### ${output.name || output.agent} (Level ${output.level} - ${output.levelName})`];
+
+    if (output.summary) {
+      lines.push(`Summary: ${output.summary}`);
+    }
+
+    const insights = (output.insights || []).slice(0, MAX_PRIOR_INSIGHTS);
+    if (insights.length > 0) {
+      lines.push('Insights:', ...insights.map(insight => `- ${insight}`));
+    }
+
+    const entities = Object.entries(output.entities || {})
+      .filter(([, values]) => Array.isArray(values) && values.length > 0)
+      .map(([type, values]) => `- ${type}: ${values.slice(0, MAX_PRIOR_ENTITIES).join(', ')}`);
+    if (entities.length > 0) {
+      lines.push('Entities:', ...entities);
+    }
+
+    return lines.join('\n');
+  });
+
+  return `Findings from earlier levels, which your analysis should build on rather than repeat:
+
+${sections.join('\n\n')}
+
+`;
+}